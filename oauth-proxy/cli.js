@@ -1,4 +1,18 @@
+const fs = require('fs');
 const yargs = require('yargs');
+const { STATE_STORES } = require('./stateStore');
+const { RATE_LIMIT_STORES } = require('./rateLimit');
+const { validateScopePolicy } = require('./oauthHandlers/scopePolicy');
+
+// Options that may be set per upstream issuer in the upstreams list.
+const UPSTREAM_OPTIONS = [
+  'upstream_issuer',
+  'well_known_base_path',
+  'idp',
+  'validate_endpoint',
+  'validate_apiKey',
+  'dynamo_table_name',
+];
 
 function processArgs() {
   return yargs
@@ -17,12 +31,43 @@ function processArgs() {
       },
       upstream_issuer: {
         description: 'URI of upstream issuer to be proxies',
-        required: true,
+        required: false,
+      },
+      upstreams: {
+        description: 'List of upstream issuers, each mounted at its own well_known_base_path. Each entry may also set ' +
+          UPSTREAM_OPTIONS.filter((option) => option !== 'upstream_issuer' && option !== 'well_known_base_path').join(', ') +
+          ', which default to the top level options',
+        required: false,
+        array: true,
       },
       upstream_issuer_timeout_ms: {
         description: 'Optional timeout (ms) for upstream requests',
         required: false
       },
+      upstream_issuer_refresh_interval_seconds: {
+        description: 'Seconds between discoveries of the upstream issuer metadata and JWKS. 0 turns refreshing off',
+        required: false,
+        number: true,
+        default: 3600,
+      },
+      upstream_issuer_retry_min_seconds: {
+        description: 'Seconds before a failed discovery of the upstream issuer is first retried. The wait doubles with each failure',
+        required: false,
+        number: true,
+        default: 5,
+      },
+      upstream_issuer_retry_max_seconds: {
+        description: 'Longest wait in seconds between retries of a failed discovery of the upstream issuer',
+        required: false,
+        number: true,
+        default: 300,
+      },
+      allow_degraded_start: {
+        description: 'Start even if an upstream issuer cannot be discovered. Its routes respond with 503 until a retry succeeds',
+        required: false,
+        boolean: true,
+        default: false,
+      },
       aws_secret: {
         description: "AWS Secret Access Key",
         required: false,
@@ -38,10 +83,33 @@ function processArgs() {
         required: true,
         default: 'us-west-2',
       },
+      state_store: {
+        description: "Where OAuth state records are kept. The memory store is for local development and tests only",
+        required: true,
+        choices: STATE_STORES,
+        default: 'dynamodb',
+      },
       dynamo_local: {
         description: "flag to use local DynamoDB instance",
         required: false,
       },
+      dynamo_table_name: {
+        description: "DynamoDB table holding OAuth state records",
+        required: false,
+        default: 'OAuthRequests',
+      },
+      state_code_lifetime_seconds: {
+        description: "Seconds an OAuth state record is kept while waiting for the authorization code exchange",
+        required: false,
+        number: true,
+        default: 600,
+      },
+      state_refresh_token_lifetime_seconds: {
+        description: "Seconds an OAuth state record is kept after a refresh token was issued",
+        required: false,
+        number: true,
+        default: 2592000,
+      },
       okta_url: {
         description: "base URL of okta organization",
         required: true,
@@ -50,6 +118,87 @@ function processArgs() {
         description: "okta API token",
         required: true,
       },
+      okta_client_cache_ttl_seconds: {
+        description: "Seconds an Okta client app is used without asking Okta again",
+        required: false,
+        number: true,
+        default: 300,
+      },
+      okta_client_cache_max_stale_seconds: {
+        description: "Seconds after the TTL that a cached Okta client app is still used while it is refreshed in the background",
+        required: false,
+        number: true,
+        default: 3600,
+      },
+      jwks_cache_default_max_age_seconds: {
+        description: "Seconds the upstream JWKS is cached when the upstream response has no Cache-Control max-age",
+        required: false,
+        number: true,
+        default: 300,
+      },
+      client_assertion_registry: {
+        description: "JSON file mapping client IDs to the jwks or client_secret used to verify their client assertions, for clients whose Okta app does not have them",
+        required: false,
+        coerce: (path) => JSON.parse(fs.readFileSync(path, 'utf8')),
+      },
+      client_credentials_scopes: {
+        description: "JSON file mapping the IDs of clients allowed to use the client_credentials grant to the scopes they may request",
+        required: false,
+        coerce: (path) => JSON.parse(fs.readFileSync(path, 'utf8')),
+      },
+      token_exchange_policy: {
+        description: "JSON file mapping the IDs of clients allowed to exchange tokens to the audiences they may exchange tokens for, and the scopes allowed for each",
+        required: false,
+        coerce: (path) => JSON.parse(fs.readFileSync(path, 'utf8')),
+      },
+      scope_policy: {
+        description: "JSON file restricting the scopes each client may request at the authorization endpoint",
+        required: false,
+        coerce: (path) => validateScopePolicy(JSON.parse(fs.readFileSync(path, 'utf8'))),
+      },
+      trust_proxy: {
+        description: "Express trust proxy setting used to work out client IP addresses from X-Forwarded-For: true, a number of hops, or a comma separated list of proxy addresses and subnets. Defaults to true, and must be a number of hops or a list with rate_limit_per_ip",
+        required: false,
+        coerce: (value) => {
+          if (value === true || value === 'true') {
+            return true;
+          }
+          if (value === false || value === 'false') {
+            return false;
+          }
+          return /^\d+$/.test(String(value)) ? Number(value) : value;
+        },
+      },
+      rate_limit_store: {
+        description: "Where rate limit buckets are kept. Use dynamodb to share them between processes",
+        required: false,
+        choices: RATE_LIMIT_STORES,
+        default: 'memory',
+      },
+      rate_limit_per_client: {
+        description: "Requests a minute each client_id may make to the token and authorization endpoints, or 0 for no limit",
+        required: false,
+        number: true,
+        default: 0,
+      },
+      rate_limit_per_ip: {
+        description: "Requests a minute each client IP address may make to the token and authorization endpoints, or 0 for no limit",
+        required: false,
+        number: true,
+        default: 0,
+      },
+      device_code_lifetime_seconds: {
+        description: "Seconds a device has to complete the device authorization grant",
+        required: false,
+        number: true,
+        default: 600,
+      },
+      device_code_interval_seconds: {
+        description: "Minimum seconds between a device's token requests while it waits for the user",
+        required: false,
+        number: true,
+        default: 5,
+      },
       validate_endpoint: {
         description: 'va.gov token validation endpoint',
         required: true,
@@ -58,6 +207,34 @@ function processArgs() {
       validate_apiKey: {
         description: 'apiKey permitting access to validate endpoint',
       },
+      token_validation_cache_max_entries: {
+        description: "Most access tokens whose validation results are cached for introspection and userinfo responses",
+        required: false,
+        number: true,
+        default: 10000,
+      },
+      enrich_introspection: {
+        description: 'Add the va_identifiers from the validate endpoint to active introspection responses',
+        required: false,
+        boolean: true,
+        default: false,
+      },
+      augment_userinfo: {
+        description: 'Filter userinfo claims by the granted scopes and add the patient ICN and fhirUser reference',
+        required: false,
+        boolean: true,
+        default: false,
+      },
+      fhir_base_url: {
+        description: 'Base URL of the FHIR server, used to build absolute fhirUser references in token responses',
+        required: false,
+        string: true
+      },
+      smart_style_url: {
+        description: 'URL of the SMART styling JSON returned as smart_style_url in token responses for launches',
+        required: false,
+        string: true
+      },
       idp: {
         description: 'Okta IDP identifier to be added as a query param (idp) if not specified by user in authorize request'
       },
@@ -75,12 +252,70 @@ function processArgs() {
         description: "Enable PKCE authorization flow?",
         required: false,
         default: false,
+      },
+      par_request_lifetime_seconds: {
+        description: "Seconds a pushed authorization request can be used at the authorization endpoint",
+        required: false,
+        number: true,
+        default: 60,
+      },
+      pkce_reject_plain: {
+        description: "Only accept the S256 PKCE code_challenge_method",
+        required: false,
+        boolean: true,
+        default: false,
+      }
+    })
+    .check((argv) => {
+      if (!argv.upstream_issuer && !argv.upstreams) {
+        throw new Error('Either upstream_issuer or upstreams is required');
       }
+      return checkTrustProxy(argv);
     })
     .wrap(yargs.terminalWidth())
     .argv;
 }
 
+// The per-IP rate limit goes by the client IP address express works out from
+// X-Forwarded-For. Trusting every proxy makes that the left-most address,
+// which the client chooses, so the proxies in front of the app must be named.
+function checkTrustProxy(config) {
+  if (config.rate_limit_per_ip > 0 && (config.trust_proxy === undefined || config.trust_proxy === true)) {
+    throw new Error('rate_limit_per_ip requires trust_proxy to be the number of proxies in front of the app or their addresses');
+  }
+  return true;
+}
+
+// Returns one config per upstream issuer. Each is the top level config with
+// the options of its upstreams entry layered on top, or just the top level
+// config when no upstreams are listed.
+function upstreamConfigs(config) {
+  if (!config.upstreams) {
+    return [config];
+  }
+
+  const basePaths = new Set();
+  return config.upstreams.map((upstream) => {
+    const unknown = Object.keys(upstream).filter((option) => UPSTREAM_OPTIONS.indexOf(option) === -1);
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported upstream options: ${unknown.join(', ')}`);
+    }
+    if (!upstream.upstream_issuer || !upstream.well_known_base_path) {
+      throw new Error('Each upstream requires an upstream_issuer and a well_known_base_path');
+    }
+    if (basePaths.has(upstream.well_known_base_path)) {
+      throw new Error(`Duplicate upstream well_known_base_path: ${upstream.well_known_base_path}`);
+    }
+    basePaths.add(upstream.well_known_base_path);
+
+    const upstreamConfig = { ...config, ...upstream };
+    delete upstreamConfig.upstreams;
+    return upstreamConfig;
+  });
+}
+
 module.exports = {
+  checkTrustProxy,
   processArgs,
+  upstreamConfigs,
 };
@@ -0,0 +1,127 @@
+const jose = require('node-jose');
+const jwtDecode = require('jwt-decode');
+
+const JWT_BEARER_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// client_secret_jwt assertions are signed with the client secret, and
+// private_key_jwt assertions with a key from the client's JWKS.
+const SECRET_ALGORITHMS = ['HS*'];
+const KEY_ALGORITHMS = ['RS*', 'PS*', 'ES*'];
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+class InvalidClientAssertionError extends Error {}
+
+// Verifies RFC 7523 client assertions for the client_secret_jwt and
+// private_key_jwt authentication methods. Keys and secrets come from
+// localRegistry, an object mapping client IDs to { jwks, client_secret }, and
+// otherwise from the client's Okta app. The jti of accepted assertions is
+// kept in stateStore until they expire, so that each assertion can only be
+// used once by any proxy process.
+class ClientAssertionVerifier {
+  constructor(audiences, clientRegistrations, stateStore, localRegistry) {
+    this.audiences = audiences;
+    this.clientRegistrations = clientRegistrations;
+    this.stateStore = stateStore;
+    this.localRegistry = localRegistry || {};
+  }
+
+  // Resolves with the ID of the client that signed client_assertion. Rejects
+  // with an InvalidClientAssertionError if the assertion is not acceptable.
+  // audiences, if given, replaces the audiences the verifier was created with.
+  async verify(client_assertion, client_assertion_type, client_id, audiences) {
+    if (client_assertion_type !== JWT_BEARER_ASSERTION_TYPE) {
+      throw new InvalidClientAssertionError(`Unsupported client_assertion_type: ${client_assertion_type}`);
+    }
+
+    let header, claims;
+    try {
+      header = jwtDecode(client_assertion, { header: true });
+      claims = jwtDecode(client_assertion);
+    } catch (error) {
+      throw new InvalidClientAssertionError('Malformed client assertion');
+    }
+
+    if (!claims.iss || claims.iss !== claims.sub) {
+      throw new InvalidClientAssertionError('Client assertion iss and sub must both be the client ID');
+    }
+    if (client_id && client_id !== claims.iss) {
+      throw new InvalidClientAssertionError('Client assertion does not match client_id');
+    }
+
+    const registration = await this.registrationFor(claims.iss);
+    const usesSecret = typeof header.alg === 'string' && header.alg.startsWith('HS');
+    const keystore = usesSecret ?
+      await secretKeystore(registration.client_secret) :
+      await jwksKeystore(registration.jwks);
+    try {
+      await jose.JWS.createVerify(keystore, {
+        algorithms: usesSecret ? SECRET_ALGORITHMS : KEY_ALGORITHMS,
+      }).verify(client_assertion);
+    } catch (error) {
+      throw new InvalidClientAssertionError('Client assertion signature is invalid');
+    }
+
+    const acceptedAudiences = audiences || this.audiences;
+    if (![].concat(claims.aud).some((aud) => acceptedAudiences.indexOf(aud) > -1)) {
+      throw new InvalidClientAssertionError('Client assertion is not intended for this token endpoint');
+    }
+    const now = nowInSeconds();
+    if (typeof claims.exp !== 'number' || claims.exp <= now) {
+      throw new InvalidClientAssertionError('Client assertion has expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now) {
+      throw new InvalidClientAssertionError('Client assertion is not valid yet');
+    }
+    if (!claims.jti) {
+      throw new InvalidClientAssertionError('Client assertion jti is required');
+    }
+    if (!await this.stateStore.useClientAssertion(claims.iss, claims.jti, claims.exp)) {
+      throw new InvalidClientAssertionError('Client assertion has already been used');
+    }
+
+    return claims.iss;
+  }
+
+  async registrationFor(client_id) {
+    if (this.localRegistry[client_id]) {
+      return this.localRegistry[client_id];
+    }
+    let registration;
+    try {
+      registration = await this.clientRegistrations.get(client_id);
+    } catch (error) {
+      throw new InvalidClientAssertionError(`Could not look up the keys of client ${client_id}`);
+    }
+    if (registration.status !== 'ACTIVE') {
+      throw new InvalidClientAssertionError(`Client ${client_id} is not active`);
+    }
+    return registration;
+  }
+}
+
+async function secretKeystore(client_secret) {
+  if (!client_secret) {
+    throw new InvalidClientAssertionError('Client has no secret to verify client_secret_jwt assertions');
+  }
+  const keystore = jose.JWK.createKeyStore();
+  await keystore.add({ kty: 'oct', k: jose.util.base64url.encode(Buffer.from(client_secret)) });
+  return keystore;
+}
+
+async function jwksKeystore(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new InvalidClientAssertionError('Client has no JWKS to verify private_key_jwt assertions');
+  }
+  try {
+    return await jose.JWK.asKeyStore(jwks);
+  } catch (error) {
+    throw new InvalidClientAssertionError('Client JWKS is invalid');
+  }
+}
+
+module.exports = {
+  JWT_BEARER_ASSERTION_TYPE,
+  ClientAssertionVerifier,
+  InvalidClientAssertionError,
+};
@@ -0,0 +1,79 @@
+const { clientRegistrationCacheCounter } = require('./metrics');
+
+// Caches the parts of Okta application records the proxy needs, so that
+// authorization requests don't depend on the Okta management API being fast
+// and available.
+//
+// A registration is fresh for ttlSeconds after it was fetched and is returned
+// without contacting Okta. For maxStaleSeconds after that it is still
+// returned, but refreshed in the background. Older registrations are fetched
+// again before they are returned. Failed lookups are never cached.
+class ClientRegistrationCache {
+  constructor(oktaClient, logger, options = {}) {
+    this.oktaClient = oktaClient;
+    this.logger = logger;
+    this.ttlMs = (options.ttlSeconds || 0) * 1000;
+    this.maxStaleMs = (options.maxStaleSeconds || 0) * 1000;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  // Resolves with { client_id, redirect_uris, post_logout_redirect_uris,
+  // grant_types, status, jwks, client_secret, token_endpoint_auth_method } for
+  // the client. status is the Okta app status, ACTIVE for apps that may be
+  // used. jwks and client_secret are used to verify client assertions and are
+  // only set for clients that have them. Rejects if the client is not cached
+  // and can't be fetched.
+  async get(client_id) {
+    const entry = this.entries.get(client_id);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < this.ttlMs) {
+      clientRegistrationCacheCounter.inc({ result: 'hit' });
+      return entry.registration;
+    }
+
+    if (age < this.ttlMs + this.maxStaleMs) {
+      clientRegistrationCacheCounter.inc({ result: 'stale' });
+      this.fetch(client_id).catch((error) => {
+        this.logger.error(`Could not refresh the cached Okta client app ${client_id}`, error);
+      });
+      return entry.registration;
+    }
+
+    clientRegistrationCacheCounter.inc({ result: 'miss' });
+    return this.fetch(client_id);
+  }
+
+  // Fetches the registration from Okta and caches it. Concurrent fetches for
+  // the same client share one request.
+  fetch(client_id) {
+    if (!this.pending.has(client_id)) {
+      const request = this.oktaClient.getApplication(client_id)
+        .then((oktaApp) => {
+          const credentials = (oktaApp.credentials && oktaApp.credentials.oauthClient) || {};
+          const registration = {
+            client_id,
+            redirect_uris: oktaApp.settings.oauthClient.redirect_uris,
+            post_logout_redirect_uris: oktaApp.settings.oauthClient.post_logout_redirect_uris,
+            grant_types: oktaApp.settings.oauthClient.grant_types,
+            status: oktaApp.status,
+            jwks: oktaApp.settings.oauthClient.jwks,
+            client_secret: credentials.client_secret,
+            token_endpoint_auth_method: credentials.token_endpoint_auth_method,
+          };
+          this.entries.set(client_id, { registration, fetchedAt: Date.now() });
+          return registration;
+        })
+        .finally(() => {
+          this.pending.delete(client_id);
+        });
+      this.pending.set(client_id, request);
+    }
+    return this.pending.get(client_id);
+  }
+}
+
+module.exports = {
+  ClientRegistrationCache,
+};
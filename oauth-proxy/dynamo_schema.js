@@ -74,10 +74,28 @@ const tableParams = {
   TableName: 'OAuthRequests',
 };
 
+// Records carry the epoch second after which they are no longer valid in
+// `expires_on`. DynamoDB deletes them some time after that.
+const ttlParams = {
+  TableName: tableParams.TableName,
+  TimeToLiveSpecification: {
+    AttributeName: 'expires_on',
+    Enabled: true,
+  },
+};
+
 dynamo.createTable(tableParams, (err, data) => {
   if (err) {
     console.error('Unable to create table. Error JSON:', JSON.stringify(err, null, 2));
   } else {
     console.log('Created table. Table description JSON:', JSON.stringify(data, null, 2));
   }
+
+  dynamo.updateTimeToLive(ttlParams, (err, data) => {
+    if (err) {
+      console.error('Unable to enable TTL. Error JSON:', JSON.stringify(err, null, 2));
+    } else {
+      console.log('Enabled TTL. TTL description JSON:', JSON.stringify(data, null, 2));
+    }
+  });
 });
@@ -3,8 +3,9 @@ const cors = require('cors');
 const { Issuer } = require('openid-client');
 const process = require('process');
 const bodyParser = require('body-parser');
-const dynamoClient = require('./dynamo_client');
-const { processArgs } = require('./cli');
+const { createStateStore } = require('./stateStore');
+const { clientRateLimitMiddleware, createRateLimitStore, rateLimitMiddleware } = require('./rateLimit');
+const { processArgs, upstreamConfigs } = require('./cli');
 const okta = require('@okta/okta-sdk-nodejs');
 const morgan = require('morgan');
 const promBundle = require('express-prom-bundle');
@@ -13,7 +14,11 @@ const axios = require('axios')
 const { logger, middlewareLogFormat } = require('./logger');
 
 const oauthHandlers = require('./oauthHandlers');
-const { configureTokenValidator } = require('./tokenValidation');
+const { configureTokenValidator, configureCachedTokenValidator } = require('./tokenValidation');
+const { ClientRegistrationCache } = require('./clientRegistrationCache');
+const { ClientAssertionVerifier } = require('./clientAssertion');
+const { UpstreamIssuer } = require('./upstreamIssuer');
+const { JwksCache } = require('./jwksCache');
 
 const appRoutes = {
   authorize: '/authorization',
@@ -21,7 +26,13 @@ const appRoutes = {
   userinfo: '/userinfo',
   introspection: '/introspect',
   jwks: '/keys',
-  redirect: '/redirect'
+  redirect: '/redirect',
+  revocation: '/revoke',
+  par: '/par',
+  logout: '/logout',
+  device_authorization: '/device_authorization',
+  device: '/device',
+  device_callback: '/device/callback'
 };
 const openidMetadataWhitelist = [
   "issuer",
@@ -29,6 +40,10 @@ const openidMetadataWhitelist = [
   "token_endpoint",
   "userinfo_endpoint",
   "introspection_endpoint",
+  "revocation_endpoint",
+  "pushed_authorization_request_endpoint",
+  "device_authorization_endpoint",
+  "end_session_endpoint",
   "jwks_uri",
   "scopes_supported",
   "response_types_supported",
@@ -44,12 +59,54 @@ const openidMetadataWhitelist = [
   "request_parameter_supported",
   "request_object_signing_alg_values_supported",
 ]
+// The SMART App Launch capabilities the proxy supports. Public clients can
+// only authenticate with PKCE. See
+// http://hl7.org/fhir/smart-app-launch/conformance/index.html
+function smartCapabilities(config) {
+  return [
+    "launch-standalone",
+    ...(config.enable_pkce_authorization_flow ? ["client-public"] : []),
+    "client-confidential-symmetric",
+    "client-confidential-asymmetric",
+    "context-standalone-patient",
+    "permission-offline",
+  ];
+}
 
+// Resolves with an UpstreamIssuer for the upstream_issuer of config. With
+// allow_degraded_start it may not have been discovered yet, and keeps trying
+// once it is started.
 async function createIssuer(config) {
   if (config.upstream_issuer_timeout_ms) {
     Issuer.defaultHttpOptions = { timeout: config.upstream_issuer_timeout_ms };
   }
-  return await Issuer.discover(config.upstream_issuer);
+  const upstreamIssuer = new UpstreamIssuer(config.upstream_issuer, logger, {
+    refreshIntervalSeconds: config.upstream_issuer_refresh_interval_seconds,
+    retryMinSeconds: config.upstream_issuer_retry_min_seconds,
+    retryMaxSeconds: config.upstream_issuer_retry_max_seconds,
+  });
+  try {
+    await upstreamIssuer.discover();
+  } catch (error) {
+    if (!config.allow_degraded_start) {
+      throw error;
+    }
+    logger.warn(`Starting without the upstream issuer ${config.upstream_issuer}. Its routes respond with 503 until it is discovered.`, error);
+  }
+  return upstreamIssuer;
+}
+
+// The grant types the token endpoint accepts with this config. The
+// client_credentials and token exchange grants need their per-client policies,
+// and devices are public clients, which authenticate only with PKCE.
+function grantTypesSupported(config) {
+  return [
+    'authorization_code',
+    'refresh_token',
+    ...(config.client_credentials_scopes ? ['client_credentials'] : []),
+    ...(config.token_exchange_policy ? ['urn:ietf:params:oauth:grant-type:token-exchange'] : []),
+    ...(config.enable_pkce_authorization_flow ? ['urn:ietf:params:oauth:grant-type:device_code'] : []),
+  ];
 }
 
 function buildMetadataRewriteTable(config, appRoutes) {
@@ -59,6 +116,18 @@ function buildMetadataRewriteTable(config, appRoutes) {
     userinfo_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.userinfo}`,
     introspection_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.introspection}`,
     jwks_uri: `${config.host}${config.well_known_base_path}${appRoutes.jwks}`,
+    revocation_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.revocation}`,
+    pushed_authorization_request_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.par}`,
+    end_session_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.logout}`,
+    device_authorization_endpoint: `${config.host}${config.well_known_base_path}${appRoutes.device_authorization}`,
+    grant_types_supported: grantTypesSupported(config),
+    token_endpoint_auth_methods_supported: [
+      'client_secret_basic',
+      'client_secret_post',
+      'client_secret_jwt',
+      'private_key_jwt',
+      ...(config.enable_pkce_authorization_flow ? ['none'] : []),
+    ],
   };
 }
 
@@ -68,7 +137,16 @@ function filterProperty(object, property) {
   }
 }
 
-function buildApp(config, issuer, oktaClient, dynamo, dynamoClient, validateToken) {
+function buildApp(config, issuer, oktaClient, stateStore, validateToken) {
+  return buildMultiUpstreamApp(config, oktaClient, [{ config, issuer, stateStore, validateToken }]);
+}
+
+// Builds an app serving one router per upstream issuer, each mounted at the
+// well_known_base_path of its config. Upstreams share the Okta client app
+// cache, rate limits, metrics and error handling. Each upstream has either a
+// discovered issuer or an upstreamIssuer whose router is built once it is
+// discovered.
+function buildMultiUpstreamApp(config, oktaClient, upstreams) {
   const useSentry = config.sentry_dsn !== undefined && config.sentry_environment !== undefined;
   if (useSentry) {
     Sentry.init({
@@ -85,6 +163,86 @@ function buildApp(config, issuer, oktaClient, dynamo, dynamoClient, validateToke
     });
   }
 
+  const clientRegistrations = new ClientRegistrationCache(oktaClient, logger, {
+    ttlSeconds: config.okta_client_cache_ttl_seconds,
+    maxStaleSeconds: config.okta_client_cache_max_stale_seconds,
+  });
+  const rateLimitStore = createRateLimitStore(config);
+
+  const app = express();
+  // Express needs to know it is being ran behind a trusted proxy. Setting 'trust proxy' to true does a few things
+  // but notably sets req.ip = 'X-Forwarded-for'. See http://expressjs.com/en/guide/behind-proxies.html
+  // Per-IP rate limits need it narrowed to the proxies in front of the app, so clients can't pick their own IP.
+  app.set('trust proxy', config.trust_proxy === undefined ? true : config.trust_proxy);
+  if (useSentry) {
+    app.use(Sentry.Handlers.requestHandler({
+      user: false,
+    }));
+  }
+  app.use(morgan(middlewareLogFormat));
+  app.use(promBundle({
+    includeMethod: true,
+    includePath: true,
+    customLabels: {app: 'oauth_proxy'},
+  }));
+
+  upstreams.forEach((upstream) => {
+    const buildRouter = (issuer) =>
+      buildUpstreamRouter(upstream.config, issuer, clientRegistrations, rateLimitStore, upstream.stateStore, upstream.validateToken);
+    app.use(upstream.config.well_known_base_path,
+      upstream.upstreamIssuer ? routerOnceDiscovered(upstream.upstreamIssuer, buildRouter) : buildRouter(upstream.issuer));
+  });
+
+  // Error handlers. Keep as last middlewares
+
+  // Sentry error handler must be the first error handling middleware
+  if (useSentry) {
+    app.use(Sentry.Handlers.errorHandler({
+      shouldHandleError(error) {
+        // Report 4xx and 5xx errors to sentry.
+        // Including 4xx errors is a temporary change to get more insight
+        // into errors reported by our users
+        return error.status >= 400
+      }
+    }));
+  }
+
+  app.use(function (err, req, res, next) {
+    logger.error(err);
+
+    // If we have error and description as query params display them, otherwise go to the
+    // catchall error handler
+    const { error, error_description } = req.query;
+    if (error && error_description) {
+      res.status(500).send(`${error}: ${error_description}`);
+    } else {
+      res.status(500).send('An unknown error has occured');
+    }
+  });
+
+  return app;
+}
+
+// Responds with a 503 until upstreamIssuer has been discovered, and then
+// passes requests on to the router built for it.
+function routerOnceDiscovered(upstreamIssuer, buildRouter) {
+  let router;
+  return (req, res, next) => {
+    if (!router && upstreamIssuer.issuer) {
+      router = buildRouter(upstreamIssuer.issuer);
+    }
+    if (!router) {
+      res.status(503).json({
+        error: "temporarily_unavailable",
+        error_description: "The upstream issuer is unavailable",
+      });
+      return;
+    }
+    router(req, res, next);
+  };
+}
+
+function buildUpstreamRouter(config, issuer, clientRegistrations, rateLimitStore, stateStore, validateToken) {
   const setProxyResponse = (response, targetResponse) => {
     targetResponse.set(response.headers)
     targetResponse.status(response.status)
@@ -111,25 +269,25 @@ function buildApp(config, issuer, oktaClient, dynamo, dynamoClient, validateToke
   const { well_known_base_path } = config;
   const redirect_uri = `${config.host}${well_known_base_path}${appRoutes.redirect}`;
   const metadataRewrite = buildMetadataRewriteTable(config, appRoutes);
+  // Client assertions may be addressed to the proxy or to the upstream issuer.
+  // Those passed on upstream must be addressed to the upstream issuer.
+  const clientAssertionVerifier = new ClientAssertionVerifier(
+    [metadataRewrite.token_endpoint, issuer.metadata.token_endpoint],
+    clientRegistrations,
+    stateStore,
+    config.client_assertion_registry
+  );
+  const deviceUris = {
+    verification_uri: `${config.host}${well_known_base_path}${appRoutes.device}`,
+    callback_uri: `${config.host}${well_known_base_path}${appRoutes.device_callback}`,
+    authorization_endpoint: metadataRewrite.authorization_endpoint,
+  };
+  const jwksCache = new JwksCache(issuer, logger, {
+    defaultMaxAgeSeconds: config.jwks_cache_default_max_age_seconds,
+  });
 
-  const app = express();
   const router = new express.Router();
-  // Express needs to know it is being ran behind a trusted proxy. Setting 'trust proxy' to true does a few things
-  // but notably sets req.ip = 'X-Forwarded-for'. See http://expressjs.com/en/guide/behind-proxies.html
-  app.set('trust proxy', true);
-  if (useSentry) {
-    app.use(Sentry.Handlers.requestHandler({
-      user: false,
-    }));
-  }
-  app.use(morgan(middlewareLogFormat));
-  app.use(promBundle({
-    includeMethod: true,
-    includePath: true,
-    customLabels: {app: 'oauth_proxy'},
-  }));
-
-  router.use([appRoutes.token], bodyParser.urlencoded({ extended: true }));
+  router.use([appRoutes.token, appRoutes.revocation, appRoutes.par, appRoutes.device_authorization], bodyParser.urlencoded({ extended: true }));
 
   const corsHandler = cors({
     origin: true,
@@ -148,81 +306,122 @@ function buildApp(config, issuer, oktaClient, dynamo, dynamoClient, validateToke
     res.json(filteredMetadata);
   });
 
-  router.get(appRoutes.jwks, (req, res) => 
-    proxyRequestToOkta(req, res, issuer.metadata.jwks_uri, "GET"));
+  router.get('/.well-known/smart-configuration', corsHandler, (req, res) => {
+    const baseMetadata = {...issuer.metadata, ...metadataRewrite }
+    res.json({
+      authorization_endpoint: baseMetadata.authorization_endpoint,
+      token_endpoint: baseMetadata.token_endpoint,
+      token_endpoint_auth_methods_supported: baseMetadata.token_endpoint_auth_methods_supported,
+      introspection_endpoint: baseMetadata.introspection_endpoint,
+      revocation_endpoint: baseMetadata.revocation_endpoint,
+      scopes_supported: baseMetadata.scopes_supported,
+      response_types_supported: baseMetadata.response_types_supported,
+      code_challenge_methods_supported: baseMetadata.code_challenge_methods_supported,
+      capabilities: smartCapabilities(config),
+    });
+  });
+
+  router.get(appRoutes.jwks, async (req, res, next) => {
+    await oauthHandlers.jwksHandler(logger, jwksCache, req, res, next)
+      .catch(next)
+  });
+
+  const validateCachedToken = configureCachedTokenValidator(validateToken, {
+    maxEntries: config.token_validation_cache_max_entries,
+  });
 
-  router.get(appRoutes.userinfo, (req, res) => 
-    proxyRequestToOkta(req, res, issuer.metadata.userinfo_endpoint, "GET"));
+  if (config.augment_userinfo) {
+    router.get(appRoutes.userinfo, async (req, res, next) => {
+      await oauthHandlers.userinfoHandler(config, logger, issuer, validateCachedToken, req, res, next)
+        .catch(next)
+    });
+  } else {
+    router.get(appRoutes.userinfo, (req, res) =>
+      proxyRequestToOkta(req, res, issuer.metadata.userinfo_endpoint, "GET"));
+  }
 
-  router.post(appRoutes.introspection, (req, res) => 
-    proxyRequestToOkta(req, res, issuer.metadata.introspection_endpoint, "POST"));
+  if (config.enrich_introspection) {
+    router.post(appRoutes.introspection, bodyParser.urlencoded({ extended: true }), async (req, res, next) => {
+      await oauthHandlers.introspectHandler(logger, issuer, validateCachedToken, req, res, next)
+        .catch(next)
+    });
+  } else {
+    router.post(appRoutes.introspection, (req, res) =>
+      proxyRequestToOkta(req, res, issuer.metadata.introspection_endpoint, "POST"));
+  }
 
   router.get(appRoutes.redirect, async (req, res, next) => {
-    await oauthHandlers.redirectHandler(logger, dynamo, dynamoClient, req, res, next)
+    await oauthHandlers.redirectHandler(logger, stateStore, req, res, next)
       .catch(next)
   });
 
-  router.get(appRoutes.authorize, async (req, res, next) => {
-    await oauthHandlers.authorizeHandler(config, redirect_uri, logger, issuer, dynamo, dynamoClient, oktaClient, req, res, next)
+  router.get(appRoutes.authorize, rateLimitMiddleware(config, logger, rateLimitStore, 'authorize'), async (req, res, next) => {
+    await oauthHandlers.authorizeHandler(config, redirect_uri, logger, issuer, stateStore, clientRegistrations, req, res, next)
       .catch(next)
   });
 
-  router.post(appRoutes.token, async (req, res, next) => {
-    await oauthHandlers.tokenHandler(config, redirect_uri, logger, issuer, dynamo, dynamoClient, validateToken, req, res, next)
+  router.post(appRoutes.token, [
+    rateLimitMiddleware(config, logger, rateLimitStore, 'token'),
+    clientRateLimitMiddleware(config, logger, rateLimitStore, 'token'),
+  ], async (req, res, next) => {
+    await oauthHandlers.tokenHandler(config, redirect_uri, logger, issuer, stateStore, validateToken, clientAssertionVerifier, req, res, next)
       .catch(next)
   });
 
-  app.use(well_known_base_path, router);
+  router.post(appRoutes.revocation, async (req, res, next) => {
+    await oauthHandlers.revokeHandler(config, redirect_uri, logger, issuer, stateStore, clientAssertionVerifier, req, res, next)
+      .catch(next)
+  });
 
-  // Error handlers. Keep as last middlewares
+  router.post(appRoutes.par, async (req, res, next) => {
+    await oauthHandlers.parHandler(config, redirect_uri, logger, issuer, stateStore, clientRegistrations, clientAssertionVerifier, req, res, next)
+      .catch(next)
+  });
 
-  // Sentry error handler must be the first error handling middleware
-  if (useSentry) {
-    app.use(Sentry.Handlers.errorHandler({
-      shouldHandleError(error) {
-        // Report 4xx and 5xx errors to sentry.
-        // Including 4xx errors is a temporary change to get more insight
-        // into errors reported by our users
-        return error.status >= 400
-      }
-    }));
-  }
+  router.post(appRoutes.device_authorization, async (req, res, next) => {
+    await oauthHandlers.deviceAuthorizationHandler(config, redirect_uri, deviceUris, logger, issuer, stateStore, clientAssertionVerifier, req, res, next)
+      .catch(next)
+  });
 
-  app.use(function (err, req, res, next) {
-    logger.error(err);
+  router.get(appRoutes.device, async (req, res, next) => {
+    await oauthHandlers.deviceVerificationHandler(deviceUris, logger, stateStore, req, res, next)
+      .catch(next)
+  });
 
-    // If we have error and description as query params display them, otherwise go to the
-    // catchall error handler
-    const { error, error_description } = req.query;
-    if (error && error_description) {
-      res.status(500).send(`${error}: ${error_description}`);
-    } else {
-      res.status(500).send('An unknown error has occured');
-    }
+  router.get(appRoutes.device_callback, async (req, res, next) => {
+    await oauthHandlers.deviceCallbackHandler(redirect_uri, logger, issuer, stateStore, req, res, next)
+      .catch(next)
   });
 
-  return app;
+  router.get(appRoutes.logout, async (req, res, next) => {
+    await oauthHandlers.logoutHandler(config, logger, issuer, stateStore, clientRegistrations, req, res, next)
+      .catch(next)
+  });
+
+  return router;
 }
 
-function startApp(config, issuer) {
+// upstreams pairs each config returned by upstreamConfigs with the
+// UpstreamIssuer created for it, which is kept up to date from here on.
+// Every upstream gets its own state store and token validator.
+function startApp(config, upstreams) {
   const oktaClient = new okta.Client({
     orgUrl: config.okta_url,
     token: config.okta_token,
     requestExecutor: new okta.DefaultRequestExecutor()
   });
 
-  const dynamoHandle = dynamoClient.createDynamoHandle(
-    Object.assign({},
-      { region: config.aws_region },
-      config.aws_id === null ? null : { accessKeyId: config.aws_id },
-      config.aws_secret === null ? null : { secretAccessKey: config.aws_secret }
-    ),
-    config.dynamo_local,
-    config.dynamo_table_name,
-  );
+  if (config.state_store === 'memory') {
+    logger.warn('Using the in-memory state store. OAuth state will be lost on restart and is not shared between processes.');
+  }
 
-  const validateToken = configureTokenValidator(config.validate_endpoint, config.validate_apiKey);
-  const app = buildApp(config, issuer, oktaClient, dynamoHandle, dynamoClient, validateToken);
+  upstreams.forEach(({ upstreamIssuer }) => upstreamIssuer.start());
+  const app = buildMultiUpstreamApp(config, oktaClient, upstreams.map(({ config, upstreamIssuer }) => ({
+    config,
+    upstreamIssuer,
+    stateStore: createStateStore(config),
+    validateToken: configureTokenValidator(config.validate_endpoint, config.validate_apiKey),
+  })));
   const env = app.get('env');
   const server = app.listen(config.port, () => {
     logger.info(`OAuth Proxy listening on port ${config.port} in ${env} mode!`, {
@@ -244,8 +443,11 @@ if (require.main === module) {
   (async () => {
     try {
       const config = processArgs();
-      const issuer = await createIssuer(config);
-      startApp(config, issuer);
+      const upstreams = await Promise.all(upstreamConfigs(config).map(async (upstreamConfig) => ({
+        config: upstreamConfig,
+        upstreamIssuer: await createIssuer(upstreamConfig),
+      })));
+      startApp(config, upstreams);
     } catch (error) {
       logger.error("Could not start the OAuth proxy", error);
       process.exit(1);
@@ -255,6 +457,7 @@ if (require.main === module) {
 
 module.exports = {
   buildApp,
+  buildMultiUpstreamApp,
   createIssuer,
   startApp,
 }
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { jwksCacheCounter } = require('./metrics');
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+const UNKNOWN_KID_REFRESH_INTERVAL_SECONDS = 60;
+
+// Caches the upstream issuer's JWKS, so that resource servers verifying
+// tokens don't each cause a request to Okta.
+//
+// The JWKS is kept for as long as the upstream Cache-Control header allows,
+// or defaultMaxAgeSeconds if it doesn't say. A request for a kid that isn't
+// in the cached JWKS fetches it again, at most once every
+// unknownKidRefreshIntervalSeconds, in case the keys were rotated. If a fetch
+// fails, the last JWKS is served until the next fetch succeeds.
+class JwksCache {
+  constructor(issuer, logger, options = {}) {
+    this.issuer = issuer;
+    this.logger = logger;
+    this.defaultMaxAgeMs = (options.defaultMaxAgeSeconds === undefined ?
+      DEFAULT_MAX_AGE_SECONDS : options.defaultMaxAgeSeconds) * 1000;
+    this.unknownKidRefreshIntervalMs = (options.unknownKidRefreshIntervalSeconds === undefined ?
+      UNKNOWN_KID_REFRESH_INTERVAL_SECONDS : options.unknownKidRefreshIntervalSeconds) * 1000;
+    this.entry = undefined;
+    this.pending = undefined;
+  }
+
+  // Resolves with { jwks, etag, expiresAt }. Rejects only if there is no
+  // JWKS to serve at all.
+  async get(kid) {
+    const entry = this.entry;
+    if (entry && Date.now() < entry.expiresAt) {
+      const canRefresh = Date.now() - entry.fetchedAt >= this.unknownKidRefreshIntervalMs;
+      if (!kid || hasKey(entry.jwks, kid) || !canRefresh) {
+        jwksCacheCounter.inc({ result: 'hit' });
+        return entry;
+      }
+      jwksCacheCounter.inc({ result: 'unknown_kid' });
+    } else {
+      jwksCacheCounter.inc({ result: 'miss' });
+    }
+
+    try {
+      return await this.fetch();
+    } catch (error) {
+      if (!entry) {
+        throw error;
+      }
+      this.logger.error('Could not refresh the upstream JWKS, serving the cached JWKS', error);
+      return entry;
+    }
+  }
+
+  // Fetches the JWKS and caches it. Concurrent fetches share one request.
+  fetch() {
+    if (!this.pending) {
+      this.pending = axios.get(this.issuer.metadata.jwks_uri)
+        .then((response) => {
+          const fetchedAt = Date.now();
+          this.entry = {
+            jwks: response.data,
+            etag: `"${crypto.createHash('sha256').update(JSON.stringify(response.data)).digest('hex')}"`,
+            fetchedAt,
+            expiresAt: fetchedAt + this.maxAgeMs(response.headers),
+          };
+          return this.entry;
+        })
+        .finally(() => {
+          this.pending = undefined;
+        });
+    }
+    return this.pending;
+  }
+
+  maxAgeMs(headers) {
+    const cacheControl = headers['cache-control'];
+    if (!cacheControl) {
+      return this.defaultMaxAgeMs;
+    }
+    if (/(^|[\s,])(no-store|no-cache)([\s,]|$)/i.test(cacheControl)) {
+      return 0;
+    }
+    const maxAge = /(^|[\s,])max-age=(\d+)/i.exec(cacheControl);
+    if (!maxAge) {
+      return this.defaultMaxAgeMs;
+    }
+    const age = parseInt(headers['age'], 10) || 0;
+    return Math.max(parseInt(maxAge[2], 10) - age, 0) * 1000;
+  }
+}
+
+function hasKey(jwks, kid) {
+  return (jwks.keys || []).some((key) => key.kid === kid);
+}
+
+module.exports = {
+  JwksCache,
+};
@@ -23,6 +23,62 @@ const validationGauge = new client.Gauge({
   help: 'metric for timing of validation flow'
 });
 
+const clientRegistrationCacheCounter = new client.Counter({
+  name: 'oauth_proxy_client_registration_cache',
+  help: 'counter of Okta client app lookups by cache result (hit, stale or miss)',
+  labelNames: ['result'],
+});
+
+const jwksCacheCounter = new client.Counter({
+  name: 'oauth_proxy_jwks_cache',
+  help: 'counter of JWKS requests by cache result (hit, miss or unknown_kid)',
+  labelNames: ['result'],
+});
+
+const refreshTokenReuseCounter = new client.Counter({
+  name: 'oauth_proxy_refresh_token_reuse',
+  help: 'counter of number of times a superseded refresh token was presented',
+});
+
+// Reports the seconds since the metadata of each upstream issuer was last
+// discovered. The age is worked out whenever the metrics are collected, so it
+// keeps growing while refreshes fail.
+class MetadataAgeGauge extends client.Gauge {
+  constructor(configuration) {
+    super(configuration);
+    this.discoveredAt = new Map();
+  }
+
+  discovered(issuer) {
+    this.discoveredAt.set(issuer, Date.now());
+  }
+
+  get() {
+    this.discoveredAt.forEach((discoveredAt, issuer) => {
+      this.set({ issuer }, (Date.now() - discoveredAt) / 1000);
+    });
+    return super.get();
+  }
+}
+
+const upstreamMetadataAgeGauge = new MetadataAgeGauge({
+  name: 'oauth_proxy_upstream_metadata_age_seconds',
+  help: 'seconds since the metadata of the upstream issuer was last discovered',
+  labelNames: ['issuer'],
+});
+
+const upstreamDiscoveryFailureCounter = new client.Counter({
+  name: 'oauth_proxy_upstream_discovery_failure',
+  help: 'counter of failed discoveries of upstream issuer metadata',
+  labelNames: ['issuer'],
+});
+
+const rateLimitedCounter = new client.Counter({
+  name: 'oauth_proxy_rate_limited',
+  help: 'counter of requests rejected by rate limiting, by endpoint and limit (client or ip)',
+  labelNames: ['endpoint', 'limit'],
+});
+
 function stopTimer(gauge, start) {
   const end = process.hrtime.bigint();
   gauge.set(Number(end - start)/1000000000);
@@ -33,5 +89,11 @@ module.exports = {
   loginEnd,
   oktaTokenRefreshGauge,
   validationGauge,
+  clientRegistrationCacheCounter,
+  refreshTokenReuseCounter,
+  jwksCacheCounter,
+  upstreamMetadataAgeGauge,
+  upstreamDiscoveryFailureCounter,
+  rateLimitedCounter,
   stopTimer
 };
@@ -0,0 +1,97 @@
+const { URL, URLSearchParams } = require('url');
+
+// Sends authorization responses back to the client app's redirect URI. See
+// https://tools.ietf.org/html/rfc6749#section-4.1.2 and
+// https://openid.net/specs/oauth-v2-multiple-response-types-1_0.html#ResponseModes
+
+const RESPONSE_MODES = ['query', 'fragment', 'form_post'];
+
+// Sends params to client_redirect in the query, the fragment, or for the
+// form_post response mode as a form the browser posts there, which keeps
+// codes out of URLs and logs. Only call this with a redirect URI that is
+// registered for the client.
+const redirectToClient = (res, client_redirect, response_mode, params) => {
+  if (response_mode === 'form_post') {
+    renderFormPost(res, client_redirect, params);
+    return;
+  }
+
+  const location = new URL(client_redirect);
+  const responseParams = new URLSearchParams(params);
+  if (response_mode === 'fragment') {
+    location.hash = responseParams.toString();
+  } else {
+    responseParams.forEach((value, name) => location.searchParams.append(name, value));
+  }
+  res.redirect(location.toString());
+};
+
+// Sends an RFC 6749 section 4.1.2.1 error response to the client app. state
+// is passed back when the client sent one.
+const redirectErrorToClient = (res, client_redirect, response_mode, state, error, error_description) => {
+  redirectToClient(res, client_redirect, response_mode, {
+    error,
+    error_description,
+    ...(state == null ? {} : { state }),
+  });
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderFormPost = (res, client_redirect, params) => {
+  const inputs = Array.from(new URLSearchParams(params))
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+  res.set('Cache-Control', 'no-store');
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Submit this form</title>
+</head>
+<body onload="document.forms[0].submit()">
+<form method="post" action="${escapeHtml(client_redirect)}">
+${inputs}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+</body>
+</html>
+`);
+};
+
+// Renders a minimal HTML page. body is HTML; escape anything it includes
+// from the request with escapeHtml.
+const renderPage = (res, status, title, body) => {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`);
+};
+
+// Shows the error to the user instead of redirecting, for when the redirect
+// URI can't be trusted.
+const renderErrorPage = (res, status, error, error_description) => {
+  renderPage(res, status, 'Authorization error', `<h1>The application's sign in request could not be completed</h1>
+<p><strong>${escapeHtml(error)}</strong>: ${escapeHtml(error_description)}</p>`);
+};
+
+module.exports = {
+  RESPONSE_MODES,
+  escapeHtml,
+  renderPage,
+  redirectToClient,
+  redirectErrorToClient,
+  renderErrorPage,
+};
@@ -1,43 +1,118 @@
 const { URLSearchParams } = require('url');
 const { loginBegin } = require('../metrics');
+const { PKCE_METHODS } = require('./pkce');
+const { RESPONSE_MODES, redirectErrorToClient, renderErrorPage } = require('./authorizationResponse');
+const { applyScopePolicy } = require('./scopePolicy');
 
-const authorizeHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamoClient, oktaClient, req, res, next) => {
+const authorizeHandler = async (config, redirect_uri, logger, issuer, stateStore, clientRegistrations, req, res, next) => {
   loginBegin.inc();
-  const { state, client_id, redirect_uri: client_redirect } = req.query;
 
-  if(state == null) {
-    res.status(400).json({
-      error: "invalid_request",
-      error_description: "State parameter required",
-    })
-    return next()
+  if (req.query.request_uri) {
+    // The request is only used up when the client_id matches, so that other
+    // clients cannot spend it.
+    let params;
+    try {
+      params = req.query.client_id ?
+        await stateStore.takePushedAuthorizationRequest(req.query.request_uri, req.query.client_id) :
+        undefined;
+    } catch (error) {
+      logger.error("Failed to look up the pushed authorization request", error);
+      return next(error);
+    }
+    if (!params) {
+      renderErrorPage(res, 400, "invalid_request", "The request_uri is invalid or has expired");
+      return next();
+    }
+    // Parameters of a pushed authorization request replace the query.
+    req.query = params;
+  }
+
+  const { state, client_id, redirect_uri: client_redirect, code_challenge, response_mode } = req.query;
+
+  // Until the redirect URI is known to be registered for the client, errors
+  // are shown to the user rather than sent to the redirect URI.
+  if (!client_id) {
+    renderErrorPage(res, 400, "invalid_request", "client_id parameter required");
+    return next();
   }
 
+  let registration;
   try {
-    const oktaApp = await oktaClient.getApplication(client_id);
-    if (oktaApp.settings.oauthClient.redirect_uris.indexOf(client_redirect) === -1) {
-      const errorParams = new URLSearchParams({
-        error: 'invalid_client',
-        error_description: 'The redirect URI specified by the application does not match any of the ' +
-        `registered redirect URIs. Erroneous redirect URI: ${client_redirect}`
-      });
-      return res.redirect(`${client_redirect}?${errorParams.toString()}`);
-    }
+    registration = await clientRegistrations.get(client_id);
   } catch (error) {
-    logger.error("Unrecoverable error: could not get the Okta client app", error);
-    // This error is unrecoverable because we would be unable to verify
-    // that we are redirecting to a whitelisted client url
-    return next(error);
+    logger.error("Could not get the Okta client app", error);
+    if (error.status === 404) {
+      renderErrorPage(res, 400, "invalid_client", `Unknown client: ${client_id}`);
+    } else {
+      renderErrorPage(res, 500, "server_error", "The application could not be verified. Please try again later.");
+    }
+    return next();
+  }
+
+  if (registration.status !== 'ACTIVE') {
+    renderErrorPage(res, 400, "invalid_client", `The client is not active: ${client_id}`);
+    return next();
+  }
+
+  if (registration.redirect_uris.indexOf(client_redirect) === -1) {
+    renderErrorPage(res, 400, "invalid_request", 'The redirect URI specified by the application does not match any of the ' +
+      `registered redirect URIs. Erroneous redirect URI: ${client_redirect}`);
+    return next();
+  }
+
+  if (response_mode && RESPONSE_MODES.indexOf(response_mode) === -1) {
+    redirectErrorToClient(res, client_redirect, 'query', state, "invalid_request", `Unsupported response_mode: ${response_mode}`);
+    return next();
+  }
+
+  if (state == null) {
+    redirectErrorToClient(res, client_redirect, response_mode, state, "invalid_request", "State parameter required");
+    return next();
+  }
+
+  let pkce;
+  if (code_challenge) {
+    const code_challenge_method = req.query.code_challenge_method || 'plain';
+    if (PKCE_METHODS.indexOf(code_challenge_method) === -1 || (code_challenge_method === 'plain' && config.pkce_reject_plain)) {
+      redirectErrorToClient(res, client_redirect, response_mode, state, "invalid_request",
+        `Unsupported code_challenge_method: ${code_challenge_method}`);
+      return next();
+    }
+    pkce = { code_challenge, code_challenge_method };
+  }
+
+  let scope = req.query.scope;
+  if (config.scope_policy) {
+    const { scopes, disallowed, reject } = applyScopePolicy(config.scope_policy, registration, scope);
+    if (reject) {
+      logger.warn("Rejected an authorization request for disallowed scopes", { client_id, requested: scope, disallowed });
+      const description = disallowed.length > 0
+        ? `The client is not allowed to request these scopes: ${disallowed.join(' ')}`
+        : "The scope parameter is required";
+      redirectErrorToClient(res, client_redirect, response_mode, state, "invalid_scope", description);
+      return next();
+    }
+    scope = scopes.join(' ');
+    logger.info("Effective scopes of the authorization request", { client_id, requested: req.query.scope, effective: scope });
   }
 
   try {
-    await dynamoClient.saveToDynamo(dynamo, state, "redirect_uri", client_redirect);
+    await stateStore.saveRedirectUri(state, client_redirect, pkce, response_mode, client_id);
   } catch (error) {
-    logger.error(`Failed to save client redirect URI ${client_redirect} in authorize handler`);
-    return next(error); // This error is unrecoverable because we can't create a record to lookup the requested redirect
+    logger.error(`Failed to save client redirect URI ${client_redirect} in authorize handler`, error);
+    redirectErrorToClient(res, client_redirect, response_mode, state, "server_error",
+      "The authorization request could not be saved. Please try again later.");
+    return next();
   }
+
   const params = new URLSearchParams(req.query);
   params.set('redirect_uri', redirect_uri);
+  if (scope) {
+    params.set('scope', scope);
+  }
+  // Okta has to send its response to the proxy's redirect route in the query.
+  // The redirect handler sends it on in the response mode the client asked for.
+  params.delete('response_mode');
   if (!params.has('idp') && config.idp) {
     params.set('idp', config.idp);
   }
@@ -0,0 +1,57 @@
+const { parseBasicAuth } = require('../utils');
+
+// Returns an openid-client Client for the client authenticating the request,
+// or undefined if the request carries no usable client credentials. Clients
+// authenticate with HTTP basic auth, a client_secret in the body, an RFC 7523
+// client assertion, or, when PKCE is enabled, as a public client with only a
+// client_id. Credentials in the body are removed so that they are not
+// forwarded upstream twice. Rejects with an InvalidClientAssertionError if
+// the client assertion is not acceptable.
+//
+// Client assertions are passed on to the upstream issuer, so they must be
+// addressed to its token endpoint. Handlers that only authenticate the client
+// themselves pass { local: true } to also accept assertions addressed to the
+// proxy.
+const buildClient = async (config, redirect_uri, issuer, clientAssertionVerifier, req, options = {}) => {
+  const clientMetadata = {
+    redirect_uris: [
+      redirect_uri
+    ]
+  };
+
+  const basicAuth = parseBasicAuth(req);
+  if (basicAuth) {
+    clientMetadata.client_id = basicAuth.username;
+    clientMetadata.client_secret = basicAuth.password;
+  } else if (req.body.client_id && req.body.client_secret) {
+    clientMetadata.client_id = req.body.client_id;
+    clientMetadata.client_secret = req.body.client_secret;
+    delete req.body.client_id;
+    delete req.body.client_secret;
+  } else if (req.body.client_assertion || req.body.client_assertion_type) {
+    const { client_assertion, client_assertion_type } = req.body;
+    const audiences = options.local ? undefined : [issuer.metadata.token_endpoint];
+    clientMetadata.client_id = await clientAssertionVerifier.verify(client_assertion, client_assertion_type, req.body.client_id, audiences);
+    delete req.body.client_id;
+    delete req.body.client_assertion;
+    delete req.body.client_assertion_type;
+
+    // openid-client can only sign assertions with keys it holds, so the
+    // client's own assertion is passed on to the upstream issuer instead.
+    const client = new issuer.Client(clientMetadata);
+    client.authFor = () => ({ body: { client_assertion, client_assertion_type } });
+    return client;
+  } else if (config.enable_pkce_authorization_flow && req.body.client_id) {
+    clientMetadata.token_endpoint_auth_method = "none";
+    clientMetadata.client_id = req.body.client_id;
+    delete req.body.client_id;
+  } else {
+    return undefined;
+  }
+
+  return new issuer.Client(clientMetadata);
+};
+
+module.exports = {
+  buildClient,
+};
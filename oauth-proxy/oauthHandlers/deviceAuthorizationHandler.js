@@ -0,0 +1,67 @@
+const { rethrowIfRuntimeError } = require('../utils');
+const { buildClient } = require('./clientAuthentication');
+const { generateCodeVerifier } = require('./pkce');
+const { generateDeviceCode, generateUserCode, formatUserCode } = require('./deviceCodes');
+
+const DEFAULT_DEVICE_CODE_LIFETIME_SECONDS = 600;
+const DEFAULT_INTERVAL_SECONDS = 5;
+
+// Handles RFC 8628 device authorization requests from clients that can't
+// send the user to a browser themselves. The user enters the returned
+// user_code at the verification URI on another device, which signs them in
+// through the authorization endpoint on the device's behalf.
+//
+// The proxy exchanges the resulting authorization code itself, as a public
+// client using PKCE, so only public clients can use the device grant.
+const deviceAuthorizationHandler = async (config, redirect_uri, deviceUris, logger, issuer, stateStore, clientAssertionVerifier, req, res, next) => {
+  let client;
+  try {
+    client = await buildClient(config, redirect_uri, issuer, clientAssertionVerifier, req);
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not verify the client assertion", error);
+  }
+  if (!client) {
+    res.status(401).json({
+      error: "invalid_client",
+      error_description: "Client authentication failed",
+    });
+    return next();
+  }
+  if (client.token_endpoint_auth_method !== 'none') {
+    res.status(400).json({
+      error: "unauthorized_client",
+      error_description: "Only public clients can use the device authorization grant",
+    });
+    return next();
+  }
+
+  const device_code = generateDeviceCode();
+  const user_code = generateUserCode();
+  const expires_in = config.device_code_lifetime_seconds || DEFAULT_DEVICE_CODE_LIFETIME_SECONDS;
+  const interval = config.device_code_interval_seconds || DEFAULT_INTERVAL_SECONDS;
+  try {
+    await stateStore.saveDeviceAuthorization(device_code, user_code, {
+      client_id: client.client_id,
+      ...(req.body.scope ? { scope: req.body.scope } : {}),
+      status: 'pending',
+      interval,
+      code_verifier: generateCodeVerifier(),
+    }, expires_in);
+  } catch (error) {
+    logger.error("Failed to save the device authorization request", error);
+    return next(error);
+  }
+
+  res.json({
+    device_code,
+    user_code: formatUserCode(user_code),
+    verification_uri: deviceUris.verification_uri,
+    verification_uri_complete: `${deviceUris.verification_uri}?user_code=${formatUserCode(user_code)}`,
+    expires_in,
+    interval,
+  });
+  return next();
+};
+
+module.exports = deviceAuthorizationHandler;
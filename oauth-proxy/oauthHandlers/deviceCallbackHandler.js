@@ -0,0 +1,82 @@
+const { rethrowIfRuntimeError } = require('../utils');
+const { renderPage, renderErrorPage } = require('./authorizationResponse');
+const { deviceIdOfState } = require('./deviceCodes');
+
+// The token set fields kept for the device to collect.
+const TOKEN_FIELDS = ['access_token', 'id_token', 'refresh_token', 'token_type', 'scope', 'expires_at'];
+
+// Completes the authorization flow started at the device verification URI.
+// The authorization code is exchanged for the device, as a public client with
+// the device's PKCE code_verifier, and the tokens are kept until the device
+// polls the token endpoint for them.
+const deviceCallbackHandler = async (redirect_uri, logger, issuer, stateStore, req, res, next) => {
+  const { state, code, error, error_description } = req.query;
+  const device_id = deviceIdOfState(state);
+
+  let record;
+  try {
+    record = device_id ? await stateStore.getDeviceAuthorization(device_id) : undefined;
+  } catch (lookupError) {
+    logger.error("Failed to look up the device authorization request", lookupError);
+    return next(lookupError);
+  }
+  if (!record || record.status !== 'pending') {
+    renderErrorPage(res, 400, "invalid_request", "The device sign in request is invalid or has expired");
+    return next();
+  }
+
+  try {
+    // The authorization flow's own state record is no longer needed.
+    await stateStore.remove(state);
+  } catch (removeError) {
+    logger.error("Failed to remove the state of a device sign in", removeError);
+  }
+
+  if (error) {
+    try {
+      await stateStore.updateDeviceAuthorization(device_id, { status: 'denied' });
+    } catch (updateError) {
+      logger.error("Failed to deny the device authorization request", updateError);
+      return next(updateError);
+    }
+    renderErrorPage(res, 400, error, error_description || "The device was not connected");
+    return next();
+  }
+
+  const client = new issuer.Client({
+    client_id: record.client_id,
+    token_endpoint_auth_method: 'none',
+    redirect_uris: [redirect_uri],
+  });
+  let tokens;
+  try {
+    tokens = await client.grant({ grant_type: 'authorization_code', code, redirect_uri, code_verifier: record.code_verifier });
+  } catch (grantError) {
+    rethrowIfRuntimeError(grantError);
+    logger.error("Failed to retrieve tokens for a device", grantError);
+    renderErrorPage(res, 500, grantError.error || "server_error",
+      grantError.error_description || "The device could not be connected. Please try again.");
+    return next();
+  }
+
+  try {
+    await stateStore.updateDeviceAuthorization(device_id, {
+      status: 'approved',
+      tokens: TOKEN_FIELDS.reduce((saved, field) => {
+        if (tokens[field] != null) {
+          saved[field] = tokens[field];
+        }
+        return saved;
+      }, {}),
+    });
+  } catch (updateError) {
+    logger.error("Failed to save the tokens for a device", updateError);
+    return next(updateError);
+  }
+
+  renderPage(res, 200, 'Device connected', `<h1>Device connected</h1>
+<p>You can close this page and return to your device.</p>`);
+  return next();
+};
+
+module.exports = deviceCallbackHandler;
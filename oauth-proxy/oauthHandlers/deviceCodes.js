@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Device authorization grant. See https://tools.ietf.org/html/rfc8628
+
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Consonants only, so that user codes don't spell words and are easy to type.
+// See https://tools.ietf.org/html/rfc8628#section-6.1
+const USER_CODE_CHARACTERS = 'BCDFGHJKLMNPQRSTVWXZ';
+
+// The authorization request the user completes for a device uses a state
+// derived from the device_id, so that the callback can find the device.
+const DEVICE_STATE_PREFIX = 'device:';
+
+const generateDeviceCode = () => crypto.randomBytes(32).toString('hex');
+
+// Returns a user code in its normalized form, such as WDJBMJHT.
+const generateUserCode = () => Array.from(crypto.randomBytes(8))
+  .map((byte) => USER_CODE_CHARACTERS[byte % USER_CODE_CHARACTERS.length])
+  .join('');
+
+// Formats a normalized user code for people to read, such as WDJB-MJHT.
+const formatUserCode = (user_code) => `${user_code.slice(0, 4)}-${user_code.slice(4)}`;
+
+// Strips the dash and anything else a user might type around a user code.
+const normalizeUserCode = (user_code) => String(user_code || '').toUpperCase().replace(/[^A-Z]/g, '');
+
+const deviceState = (device_id) => `${DEVICE_STATE_PREFIX}${device_id}`;
+
+// Returns the device_id of a state made by deviceState, or undefined.
+const deviceIdOfState = (state) => (typeof state === 'string' && state.startsWith(DEVICE_STATE_PREFIX)) ?
+  state.slice(DEVICE_STATE_PREFIX.length) :
+  undefined;
+
+module.exports = {
+  DEVICE_CODE_GRANT_TYPE,
+  generateDeviceCode,
+  generateUserCode,
+  formatUserCode,
+  normalizeUserCode,
+  deviceState,
+  deviceIdOfState,
+};
@@ -0,0 +1,66 @@
+const { URLSearchParams } = require('url');
+const { escapeHtml, renderPage } = require('./authorizationResponse');
+const { s256CodeChallenge } = require('./pkce');
+const { normalizeUserCode, formatUserCode, deviceState } = require('./deviceCodes');
+
+// Serves the verification URI of the device authorization grant. The user
+// enters the user_code shown on their device and confirms which application
+// they are connecting, so that a verification_uri_complete link sent by
+// someone else can't connect their device unnoticed. They are then sent
+// through the normal authorization flow, which returns to the device callback.
+const deviceVerificationHandler = async (deviceUris, logger, stateStore, req, res, next) => {
+  const { user_code, confirm } = req.query;
+  if (!user_code) {
+    renderUserCodeForm(res, 200, deviceUris.verification_uri);
+    return next();
+  }
+
+  let record;
+  try {
+    record = await stateStore.getDeviceAuthorizationByUserCode(normalizeUserCode(user_code));
+  } catch (error) {
+    logger.error("Failed to look up the device authorization request", error);
+    return next(error);
+  }
+  if (!record || record.status !== 'pending') {
+    renderUserCodeForm(res, 400, deviceUris.verification_uri,
+      "That code is invalid or has expired. Check the code on your device and try again.");
+    return next();
+  }
+
+  const formattedUserCode = formatUserCode(record.user_code);
+  if (confirm !== 'yes') {
+    renderPage(res, 200, 'Connect a device', `<h1>Connect a device</h1>
+<p>Sign in to let <strong>${escapeHtml(record.client_id)}</strong> use your account on the device showing the code <strong>${escapeHtml(formattedUserCode)}</strong>.</p>
+<p>Only continue if you are using that device yourself.</p>
+<form method="get" action="${escapeHtml(deviceUris.verification_uri)}">
+<input type="hidden" name="user_code" value="${escapeHtml(formattedUserCode)}">
+<input type="hidden" name="confirm" value="yes">
+<button type="submit">Continue</button>
+</form>`);
+    return next();
+  }
+
+  const params = new URLSearchParams({
+    client_id: record.client_id,
+    response_type: 'code',
+    redirect_uri: deviceUris.callback_uri,
+    state: deviceState(record.device_id),
+    code_challenge: s256CodeChallenge(record.code_verifier),
+    code_challenge_method: 'S256',
+    ...(record.scope ? { scope: record.scope } : {}),
+  });
+  res.redirect(`${deviceUris.authorization_endpoint}?${params.toString()}`);
+  return next();
+};
+
+const renderUserCodeForm = (res, status, verification_uri, message) => {
+  renderPage(res, status, 'Connect a device', `<h1>Connect a device</h1>
+${message ? `<p>${escapeHtml(message)}</p>\n` : ''}<form method="get" action="${escapeHtml(verification_uri)}">
+<label for="user_code">Enter the code shown on your device</label>
+<input type="text" id="user_code" name="user_code" autocomplete="off" autocapitalize="characters" required>
+<button type="submit">Continue</button>
+</form>`);
+};
+
+module.exports = deviceVerificationHandler;
@@ -4,4 +4,13 @@ module.exports = {
   'authorizeHandler': require('./authorizeHandler'),
   'tokenHandler': require('./tokenHandler'),
   'redirectHandler': require('./redirectHandler'),
+  'revokeHandler': require('./revokeHandler'),
+  'parHandler': require('./parHandler'),
+  'logoutHandler': require('./logoutHandler'),
+  'jwksHandler': require('./jwksHandler'),
+  'introspectHandler': require('./introspectHandler'),
+  'userinfoHandler': require('./userinfoHandler'),
+  'deviceAuthorizationHandler': require('./deviceAuthorizationHandler'),
+  'deviceVerificationHandler': require('./deviceVerificationHandler'),
+  'deviceCallbackHandler': require('./deviceCallbackHandler'),
 };
@@ -0,0 +1,45 @@
+const { URLSearchParams } = require('url');
+const axios = require('axios');
+
+// Forwards token introspection to the upstream issuer and adds the
+// va_identifiers of active access tokens to the response, so that resource
+// servers get patient context without calling the validation API
+// themselves. If the token can't be validated the upstream response is
+// returned as it is.
+const introspectHandler = async (logger, issuer, validateCachedToken, req, res, next) => {
+  let response;
+  try {
+    response = await axios.post(
+      issuer.metadata.introspection_endpoint,
+      new URLSearchParams(req.body).toString(),
+      {
+        headers: {
+          ...(req.headers.authorization ? { authorization: req.headers.authorization } : {}),
+          'content-type': 'application/x-www-form-urlencoded',
+          accept: 'application/json',
+        },
+        validateStatus: () => true,
+      }
+    );
+  } catch (error) {
+    logger.error("Failed to introspect the token with the upstream issuer", error);
+    return next(error);
+  }
+
+  const introspection = response.data;
+  if (response.status !== 200 || !introspection.active || req.body.token_type_hint === 'refresh_token') {
+    res.status(response.status).json(introspection);
+    return next();
+  }
+
+  try {
+    const validation = await validateCachedToken(req.body.token, introspection.exp);
+    res.json({ ...introspection, va_identifiers: validation.va_identifiers });
+  } catch (error) {
+    logger.error("Could not add va_identifiers to the introspection response", error);
+    res.json(introspection);
+  }
+  return next();
+};
+
+module.exports = introspectHandler;
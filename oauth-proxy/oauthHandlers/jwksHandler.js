@@ -0,0 +1,24 @@
+// Serves the upstream issuer's JWKS from the cache. Clients may pass the kid
+// they are looking for, which refreshes the cache if the key is unknown, and
+// may revalidate their copy with If-None-Match.
+const jwksHandler = async (logger, jwksCache, req, res, next) => {
+  let entry;
+  try {
+    entry = await jwksCache.get(req.query.kid);
+  } catch (error) {
+    logger.error("Could not fetch the upstream JWKS", error);
+    return next(error);
+  }
+
+  const maxAge = Math.max(Math.floor((entry.expiresAt - Date.now()) / 1000), 0);
+  res.set('Cache-Control', `public, max-age=${maxAge}`);
+  res.set('ETag', entry.etag);
+  if (req.fresh) {
+    res.status(304).end();
+    return next();
+  }
+  res.json(entry.jwks);
+  return next();
+};
+
+module.exports = jwksHandler;
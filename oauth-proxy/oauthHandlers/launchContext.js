@@ -0,0 +1,102 @@
+// SMART launch context parameters are extra fields in the token response that
+// tell the client app about the context it was launched in. See
+// http://hl7.org/fhir/smart-app-launch/scopes-and-launch-context/index.html
+//
+// Each resolver adds one field to the token response. A resolver applies when
+// the granted scopes call for its field, and resolves with the field's value,
+// or undefined to leave the field out. Resolvers that need the attributes the
+// validation API returns for the access token set usesValidation. The API is
+// only called when at least one of them applies. Only resolvers that set
+// required fail the token request when the API or the resolver fails. Other
+// fields are left out instead.
+//
+// Add a resolver to launchContextResolvers to support a new context
+// parameter.
+
+const hasScope = (scope) => (scopes) => scopes.indexOf(scope) > -1;
+const hasLaunchScope = (scopes) => scopes.some((scope) => scope === 'launch' || scope.startsWith('launch/'));
+
+const launchContextResolvers = [
+  {
+    field: 'patient',
+    appliesTo: hasScope('launch/patient'),
+    usesValidation: true,
+    // A patient launch without a patient is useless to the client, so a
+    // missing ICN fails the token request.
+    required: true,
+    resolve: ({ validation }) => validation.va_identifiers.icn,
+  },
+  {
+    field: 'encounter',
+    appliesTo: hasScope('launch/encounter'),
+    usesValidation: true,
+    resolve: ({ validation }) => validation.launch ? validation.launch.encounter : undefined,
+  },
+  {
+    field: 'fhirUser',
+    appliesTo: hasScope('fhirUser'),
+    usesValidation: true,
+    resolve: ({ config, validation }) => {
+      const icn = validation.va_identifiers ? validation.va_identifiers.icn : undefined;
+      if (!icn) {
+        return undefined;
+      }
+      return config.fhir_base_url ? `${config.fhir_base_url}/Patient/${icn}` : `Patient/${icn}`;
+    },
+  },
+  {
+    // Standalone launches happen outside of an EHR, so nothing else shows
+    // the user which patient's data they are looking at.
+    field: 'need_patient_banner',
+    appliesTo: hasScope('launch/patient'),
+    usesValidation: false,
+    resolve: () => true,
+  },
+  {
+    field: 'smart_style_url',
+    appliesTo: hasLaunchScope,
+    usesValidation: false,
+    resolve: ({ config }) => config.smart_style_url,
+  },
+];
+
+// Resolves with the launch context fields for the granted scopes. Errors from
+// the validation API and from resolvers are passed on to the caller when a
+// required resolver applies.
+const resolveLaunchContext = async (config, scopes, access_token, validateToken, resolvers = launchContextResolvers) => {
+  const applicable = resolvers.filter((resolver) => resolver.appliesTo(scopes));
+  const usingValidation = applicable.filter((resolver) => resolver.usesValidation);
+  let validation;
+  if (usingValidation.length > 0) {
+    try {
+      validation = await validateToken(access_token);
+    } catch (error) {
+      if (usingValidation.some((resolver) => resolver.required)) {
+        throw error;
+      }
+    }
+  }
+
+  return applicable.reduce((context, resolver) => {
+    if (resolver.usesValidation && !validation) {
+      return context;
+    }
+    let value;
+    try {
+      value = resolver.resolve({ config, scopes, validation });
+    } catch (error) {
+      if (resolver.required) {
+        throw error;
+      }
+    }
+    if (value !== undefined) {
+      context[resolver.field] = value;
+    }
+    return context;
+  }, {});
+};
+
+module.exports = {
+  launchContextResolvers,
+  resolveLaunchContext,
+};
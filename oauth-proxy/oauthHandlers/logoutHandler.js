@@ -0,0 +1,67 @@
+const { URLSearchParams } = require('url');
+const jwtDecode = require('jwt-decode');
+
+// Handles OpenID Connect RP-initiated logout. The post_logout_redirect_uri
+// is checked against the client's Okta app before the user is sent on to
+// Okta's end session endpoint, and the state record of the login the
+// id_token_hint was issued for is deleted.
+const logoutHandler = async (config, logger, issuer, stateStore, clientRegistrations, req, res, next) => {
+  const { id_token_hint, post_logout_redirect_uri } = req.query;
+
+  let client_id = req.query.client_id;
+  if (!client_id && id_token_hint) {
+    try {
+      const { aud } = jwtDecode(id_token_hint);
+      client_id = Array.isArray(aud) ? aud[0] : aud;
+    } catch (error) {
+      res.status(400).json({
+        error: "invalid_request",
+        error_description: "id_token_hint is not a valid ID token",
+      });
+      return next();
+    }
+  }
+
+  if (post_logout_redirect_uri) {
+    if (!client_id) {
+      res.status(400).json({
+        error: "invalid_request",
+        error_description: "client_id or id_token_hint is required with post_logout_redirect_uri",
+      });
+      return next();
+    }
+
+    try {
+      const registration = await clientRegistrations.get(client_id);
+      if ((registration.post_logout_redirect_uris || []).indexOf(post_logout_redirect_uri) === -1) {
+        res.status(400).json({
+          error: "invalid_request",
+          error_description: 'The post logout redirect URI specified by the application does not match any of the ' +
+            `registered post logout redirect URIs. Erroneous redirect URI: ${post_logout_redirect_uri}`,
+        });
+        return next();
+      }
+    } catch (error) {
+      logger.error("Unrecoverable error: could not get the Okta client app", error);
+      // We can't verify that we would be redirecting to a whitelisted url.
+      return next(error);
+    }
+  }
+
+  if (id_token_hint) {
+    try {
+      const state = await stateStore.getStateOfIdToken(id_token_hint);
+      if (state) {
+        await stateStore.remove(state);
+      }
+      await stateStore.removeIdToken(id_token_hint);
+    } catch (error) {
+      logger.error("Failed to remove the state of the logged out session", error);
+    }
+  }
+
+  const params = new URLSearchParams(req.query);
+  res.redirect(`${issuer.metadata.end_session_endpoint}?${params.toString()}`);
+};
+
+module.exports = logoutHandler;
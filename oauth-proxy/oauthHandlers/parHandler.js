@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const { rethrowIfRuntimeError } = require('../utils');
+const { buildClient } = require('./clientAuthentication');
+
+const REQUEST_URI_PREFIX = 'urn:ietf:params:oauth:request_uri:';
+const DEFAULT_REQUEST_LIFETIME_SECONDS = 60;
+
+// Handles RFC 9126 pushed authorization requests. The authorization request
+// parameters are saved under a new request_uri that the client then passes
+// to the authorization endpoint instead of the parameters themselves.
+//
+// The upstream issuer never sees these requests, so client secrets are
+// checked against the client's Okta app here, and only clients the Okta app
+// registers as public may push requests without authenticating.
+const parHandler = async (config, redirect_uri, logger, issuer, stateStore, clientRegistrations, clientAssertionVerifier, req, res, next) => {
+  const body_client_id = req.body.client_id;
+  let client;
+  try {
+    client = await buildClient(config, redirect_uri, issuer, clientAssertionVerifier, req, { local: true });
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not verify the client assertion", error);
+  }
+
+  let registration;
+  if (client) {
+    try {
+      registration = await clientRegistrations.get(client.client_id);
+    } catch (error) {
+      logger.error("Could not get the Okta client app for a pushed authorization request", error);
+    }
+  }
+
+  // Clients that sent only a client_id must be registered as public clients.
+  // Confidential clients have to authenticate with their secret or an
+  // assertion.
+  const unauthenticated = client && client.token_endpoint_auth_method === 'none';
+  if (!registration ||
+      registration.status !== 'ACTIVE' ||
+      (body_client_id && body_client_id !== client.client_id) ||
+      (client.client_secret && !secretsMatch(client.client_secret, registration.client_secret)) ||
+      (unauthenticated && registration.token_endpoint_auth_method !== 'none')) {
+    res.status(401).json({
+      error: "invalid_client",
+      error_description: "Client authentication failed",
+    });
+    return next();
+  }
+
+  if (req.body.request_uri) {
+    res.status(400).json({
+      error: "invalid_request",
+      error_description: "request_uri is not allowed in pushed authorization requests",
+    });
+    return next();
+  }
+
+  if (registration.redirect_uris.indexOf(req.body.redirect_uri) === -1) {
+    res.status(400).json({
+      error: "invalid_request",
+      error_description: 'The redirect URI specified by the application does not match any of the ' +
+        `registered redirect URIs. Erroneous redirect URI: ${req.body.redirect_uri}`,
+    });
+    return next();
+  }
+
+  const request_uri = `${REQUEST_URI_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const expires_in = config.par_request_lifetime_seconds || DEFAULT_REQUEST_LIFETIME_SECONDS;
+  try {
+    await stateStore.savePushedAuthorizationRequest(request_uri, { ...req.body, client_id: client.client_id }, expires_in);
+  } catch (error) {
+    logger.error("Failed to save the pushed authorization request", error);
+    return next(error);
+  }
+
+  res.status(201).json({ request_uri, expires_in });
+  return next();
+};
+
+function secretsMatch(secret, registeredSecret) {
+  if (!registeredSecret) {
+    return false;
+  }
+  const actual = Buffer.from(secret);
+  const expected = Buffer.from(registeredSecret);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = parHandler;
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Proof Key for Code Exchange. See https://tools.ietf.org/html/rfc7636
+
+const PKCE_METHODS = ['S256', 'plain'];
+
+const CODE_VERIFIER_REGEX = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+// Returns the S256 code_challenge for code_verifier.
+const s256CodeChallenge = (code_verifier) =>
+  base64url(crypto.createHash('sha256').update(code_verifier).digest());
+
+// Returns a new random code_verifier.
+const generateCodeVerifier = () => base64url(crypto.randomBytes(32));
+
+// Returns true if code_verifier is well formed and matches the code_challenge
+// recorded for the authorization request.
+const verifyCodeVerifier = (code_verifier, code_challenge, code_challenge_method) => {
+  if (typeof code_verifier !== 'string' || !CODE_VERIFIER_REGEX.test(code_verifier)) {
+    return false;
+  }
+
+  const expected = Buffer.from(code_challenge_method === 'S256' ? s256CodeChallenge(code_verifier) : code_verifier);
+  const actual = Buffer.from(code_challenge);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  PKCE_METHODS,
+  s256CodeChallenge,
+  generateCodeVerifier,
+  verifyCodeVerifier,
+};
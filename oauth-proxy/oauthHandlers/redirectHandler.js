@@ -1,7 +1,7 @@
-const { URLSearchParams } = require('url');
 const { loginEnd } = require('../metrics');
+const { redirectToClient } = require('./authorizationResponse');
 
-const redirectHandler = async (logger, dynamo, dynamoClient, req, res, next) => {
+const redirectHandler = async (logger, stateStore, req, res, next) => {
   const { state } = req.query;
 
   if(state == null) {
@@ -14,16 +14,15 @@ const redirectHandler = async (logger, dynamo, dynamoClient, req, res, next) =>
 
   if (!req.query.hasOwnProperty('error')) {
     try {
-      await dynamoClient.saveToDynamo(dynamo, state, "code", req.query.code);
+      await stateStore.saveCode(state, req.query.code);
     } catch (error) {
       logger.error(`Failed to save authorization code in redirect handler`, error);
     }
   }
   try {
-    const document = await dynamoClient.getFromDynamoByState(dynamo, state);
-    const params = new URLSearchParams(req.query);
+    const document = await stateStore.getByState(state);
     loginEnd.inc();
-    res.redirect(`${document.redirect_uri.S}?${params.toString()}`)
+    redirectToClient(res, document.redirect_uri, document.response_mode, req.query);
   } catch (error) {
     logger.error("Failed to redirect to the OAuth client application", error);
     return next(error); // This error is unrecoverable because we can't look up the original redirect.
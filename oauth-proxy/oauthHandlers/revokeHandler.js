@@ -0,0 +1,66 @@
+const { rethrowIfRuntimeError, statusCodeFromError } = require('../utils');
+const { buildClient } = require('./clientAuthentication');
+
+// Handles RFC 7009 token revocation requests. The token is revoked upstream
+// with the client's own credentials, and when it is a refresh token of the
+// same client the state record holding it is removed as well.
+const revokeHandler = async (config, redirect_uri, logger, issuer, stateStore, clientAssertionVerifier, req, res, next) => {
+  let client;
+  try {
+    client = await buildClient(config, redirect_uri, issuer, clientAssertionVerifier, req);
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not verify the client assertion", error);
+  }
+  if (!client) {
+    res.status(401).json({
+      error: "invalid_client",
+      error_description: "Client authentication failed",
+    });
+    return next();
+  }
+
+  const { token, token_type_hint } = req.body;
+  if (!token) {
+    res.status(400).json({
+      error: "invalid_request",
+      error_description: "Token parameter required",
+    });
+    return next();
+  }
+
+  try {
+    await client.revoke(token, token_type_hint);
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not revoke the token with the upstream issuer", error);
+    const statusCode = statusCodeFromError(error);
+    res.status(statusCode).json({
+      error: error.error,
+      error_description: error.error_description,
+    });
+    return next();
+  }
+
+  // Access tokens are never stored, so only look for the token in the state
+  // store when it may be a refresh token. Okta answers 200 for tokens of
+  // other clients too, so the record is only removed if it belongs to the
+  // client that authenticated.
+  if (token_type_hint !== 'access_token') {
+    try {
+      const record = await stateStore.getByRefreshToken(token);
+      if (record && record.client_id === client.client_id) {
+        await stateStore.remove(record.state);
+      }
+    } catch (error) {
+      logger.error("Could not remove the revoked refresh token from the state store", error);
+    }
+  }
+
+  // The response is the same whether or not the token was valid. See
+  // https://tools.ietf.org/html/rfc7009#section-2.2
+  res.status(200).send();
+  return next();
+};
+
+module.exports = revokeHandler;
@@ -0,0 +1,82 @@
+// Restricts the scopes clients may request at the authorization endpoint.
+// The policy is loaded from the JSON file given by --scope_policy:
+//
+//   {
+//     "on_disallowed": "strip",
+//     "default": { "denied": ["launch/patient"] },
+//     "public_clients": { "denied": ["offline_access"] },
+//     "clients": {
+//       "clientId123": { "allowed": ["openid", "launch/patient", "patient/Patient.read"], "on_disallowed": "reject" }
+//     }
+//   }
+//
+// A client listed in clients is held to its own rule, any other client to the
+// default rule. Public clients are also held to the public_clients rule. A
+// rule allows a scope unless the scope is in its denied list, or the rule has
+// an allowed list that doesn't include it.
+//
+// Disallowed scopes are stripped from the request, or with on_disallowed set
+// to reject, fail it with invalid_scope. A client's own on_disallowed takes
+// precedence over the top-level one. A request left without any scopes fails
+// either way, as does a request without a scope parameter, rather than falling
+// back to Okta's default scopes.
+
+const ON_DISALLOWED = ['strip', 'reject'];
+
+const ruleAllows = (rule, scope) =>
+  (!rule.denied || rule.denied.indexOf(scope) === -1) &&
+  (!rule.allowed || rule.allowed.indexOf(scope) > -1);
+
+// Returns { scopes, disallowed, reject } for the space separated scope of an
+// authorization request by the registered client. scopes are the requested
+// scopes the policy allows and disallowed the others. reject is true if the
+// request must fail because of the disallowed scopes.
+const applyScopePolicy = (policy, registration, scope) => {
+  const requested = (scope || '').split(' ').filter((s) => s);
+  const clientRule = (policy.clients || {})[registration.client_id];
+  const rules = [clientRule || policy.default];
+  if (registration.token_endpoint_auth_method === 'none') {
+    rules.push(policy.public_clients);
+  }
+  const applicableRules = rules.filter((rule) => rule);
+
+  const scopes = requested.filter((s) => applicableRules.every((rule) => ruleAllows(rule, s)));
+  const disallowed = requested.filter((s) => scopes.indexOf(s) === -1);
+  const onDisallowed = (clientRule && clientRule.on_disallowed) || policy.on_disallowed || 'strip';
+  return {
+    scopes,
+    disallowed,
+    reject: scopes.length === 0 || (disallowed.length > 0 && onDisallowed === 'reject'),
+  };
+};
+
+// Throws if policy is not a scope policy this module understands, so that
+// mistakes in the policy file stop the proxy from starting.
+const validateScopePolicy = (policy) => {
+  const rules = [['default', policy.default], ['public_clients', policy.public_clients]]
+    .concat(Object.entries(policy.clients || {}).map(([client_id, rule]) => [`clients.${client_id}`, rule]));
+  const onDisallowedValues = [['on_disallowed', policy.on_disallowed]]
+    .concat(Object.entries(policy.clients || {}).map(([client_id, rule]) => [`clients.${client_id}.on_disallowed`, rule.on_disallowed]));
+
+  rules.forEach(([name, rule]) => {
+    if (rule === undefined) {
+      return;
+    }
+    ['allowed', 'denied'].forEach((list) => {
+      if (rule[list] !== undefined && !Array.isArray(rule[list])) {
+        throw new Error(`${name}.${list} of the scope policy must be a list of scopes`);
+      }
+    });
+  });
+  onDisallowedValues.forEach(([name, value]) => {
+    if (value !== undefined && ON_DISALLOWED.indexOf(value) === -1) {
+      throw new Error(`${name} of the scope policy must be one of ${ON_DISALLOWED.join(', ')}`);
+    }
+  });
+  return policy;
+};
+
+module.exports = {
+  applyScopePolicy,
+  validateScopePolicy,
+};
@@ -1,31 +1,30 @@
 const jwtDecode = require('jwt-decode');
 const process = require('process');
+const { TokenSet } = require('openid-client');
 
-const { rethrowIfRuntimeError, statusCodeFromError, parseBasicAuth } = require('../utils');
+const { rethrowIfRuntimeError, statusCodeFromError } = require('../utils');
+const { buildClient } = require('./clientAuthentication');
 const { translateTokenSet } = require('./tokenResponse');
-const { oktaTokenRefreshGauge, stopTimer } = require('../metrics');
-
-const tokenHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamoClient, validateToken, req, res, next) => {
-  const clientMetadata = {
-    redirect_uris: [
-      redirect_uri
-    ]
-  };
-
-  const basicAuth = parseBasicAuth(req);
-  if (basicAuth) {
-    clientMetadata.client_id = basicAuth.username;
-    clientMetadata.client_secret = basicAuth.password;
-  } else if (req.body.client_id && req.body.client_secret) {
-    clientMetadata.client_id = req.body.client_id;
-    clientMetadata.client_secret = req.body.client_secret;
-    delete req.body.client_id;
-    delete req.body.client_secret;
-  } else if (config.enable_pkce_authorization_flow && req.body.client_id) {
-    clientMetadata.token_endpoint_auth_method = "none";
-    clientMetadata.client_id = req.body.client_id;
-    delete req.body.client_id;
-  } else {
+const { resolveLaunchContext } = require('./launchContext');
+const { verifyCodeVerifier } = require('./pkce');
+const { DEVICE_CODE_GRANT_TYPE } = require('./deviceCodes');
+const { oktaTokenRefreshGauge, refreshTokenReuseCounter, stopTimer } = require('../metrics');
+
+const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const ACCESS_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:access_token';
+// How much longer a device has to wait between polls each time it polls too
+// early. See https://tools.ietf.org/html/rfc8628#section-3.5
+const SLOW_DOWN_INCREMENT_SECONDS = 5;
+
+const tokenHandler = async (config, redirect_uri, logger, issuer, stateStore, validateToken, clientAssertionVerifier, req, res, next) => {
+  let client;
+  try {
+    client = await buildClient(config, redirect_uri, issuer, clientAssertionVerifier, req);
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not verify the client assertion", error);
+  }
+  if (!client) {
     res.status(401).json({
       error: "invalid_client",
       error_description: "Client authentication failed",
@@ -33,10 +32,39 @@ const tokenHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamo
     return next();
   }
 
-  const client = new issuer.Client(clientMetadata);
+  if (req.body.grant_type === 'client_credentials') {
+    return clientCredentialsGrant(config, logger, client, req, res, next);
+  }
+  if (req.body.grant_type === TOKEN_EXCHANGE_GRANT_TYPE) {
+    return tokenExchangeGrant(config, logger, client, validateToken, req, res, next);
+  }
 
   let tokens, state;
   if (req.body.grant_type === 'refresh_token') {
+    let document, familyState;
+    try {
+      document = await stateStore.getByRefreshToken(req.body.refresh_token);
+      if (!document) {
+        familyState = await stateStore.getStateOfSupersededRefreshToken(req.body.refresh_token);
+      }
+    } catch (error) {
+      logger.error("Could not retrieve state from the state store", error)
+    }
+
+    if (familyState) {
+      try {
+        await revokeRefreshTokenFamily(logger, client, stateStore, familyState, req.body.refresh_token);
+      } catch (error) {
+        rethrowIfRuntimeError(error);
+        logger.error("Could not revoke the reused refresh token family", error);
+      }
+      res.status(400).json({
+        error: "invalid_grant",
+        error_description: "The refresh token has already been used",
+      });
+      return next();
+    }
+
     const oktaTokenRefreshStart = process.hrtime.bigint();
     try {
       tokens = await client.refresh(req.body.refresh_token);
@@ -52,19 +80,16 @@ const tokenHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamo
       stopTimer(oktaTokenRefreshGauge, oktaTokenRefreshStart);
       return next();
     }
-    let document;
-    try {
-      document = await dynamoClient.getFromDynamoBySecondary(dynamo, 'refresh_token', req.body.refresh_token);
-    } catch (error) {
-      logger.error("Could not retrieve state from DynamoDB", error)
-    }
 
     if (document && document.state) {
       try {
-        state = document.state.S;
-        await dynamoClient.saveToDynamo(dynamo, state, 'refresh_token', tokens.refresh_token);
+        state = document.state;
+        await stateStore.saveRefreshToken(state, tokens.refresh_token);
+        if (tokens.refresh_token && tokens.refresh_token !== req.body.refresh_token) {
+          await stateStore.saveSupersededRefreshToken(state, req.body.refresh_token);
+        }
       } catch (error) {
-        logger.error("Could not update the refresh token in DynamoDB", error);
+        logger.error("Could not update the refresh token in the state store", error);
       }
     }
     // Set state to null if we were unable to retrieve it for any reason.
@@ -72,6 +97,22 @@ const tokenHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamo
     // about this: it's not actually part of the SMART on FHIR spec.
     state = state || null;
   } else if (req.body.grant_type === 'authorization_code') {
+    let document;
+    try {
+      document = await stateStore.getByCode(req.body.code);
+    } catch (error) {
+      logger.error("Could not retrieve state from the state store", error);
+    }
+
+    const pkceError = checkPkce(config, client, document, req.body.code_verifier);
+    if (pkceError) {
+      res.status(400).json({
+        error: "invalid_grant",
+        error_description: pkceError,
+      });
+      return next();
+    }
+
     try {
       tokens = await client.grant(
         {...req.body, redirect_uri }
@@ -87,44 +128,282 @@ const tokenHandler = async (config, redirect_uri, logger, issuer, dynamo, dynamo
       return next();
     }
     try {
-      const document = await dynamoClient.getFromDynamoBySecondary(dynamo, 'code', req.body.code);
-      state = document.state.S;
-      if (tokens.refresh_token) {
-        await dynamoClient.saveToDynamo(dynamo, state, 'refresh_token', tokens.refresh_token);
+      state = document ? document.state : null;
+      if (state && tokens.refresh_token) {
+        await stateStore.saveRefreshToken(state, tokens.refresh_token);
       }
     } catch (error) {
       rethrowIfRuntimeError(error);
-      logger.error("Failed to save the new refresh token to DynamoDB", error);
+      logger.error("Failed to save the new refresh token to the state store", error);
       state = null;
     }
+  } else if (req.body.grant_type === DEVICE_CODE_GRANT_TYPE) {
+    let pollError;
+    try {
+      ({ tokens, pollError } = await pollDeviceAuthorization(stateStore, client, req.body.device_code));
+    } catch (error) {
+      logger.error("Could not retrieve the device authorization from the state store", error);
+      return next(error);
+    }
+    if (pollError) {
+      res.status(400).json(pollError);
+      return next();
+    }
+    // Device tokens don't belong to a state the client knows about.
+    state = null;
   } else {
     res.status(400).json({
       error: "unsupported_grant_type",
-      error_description: "Only authorization and refresh_token grant types are supported",
+      error_description: "Only authorization_code, refresh_token, device_code, client_credentials and token exchange grant types are supported",
     });
     return next();
   }
+  if (state && tokens.id_token) {
+    try {
+      await stateStore.saveIdToken(state, tokens.id_token);
+    } catch (error) {
+      logger.error("Could not save the ID token in the state store", error);
+    }
+  }
+
   const tokenResponseBase = translateTokenSet(tokens);
-  var decoded = jwtDecode(tokens.access_token);
-  if ((decoded.scp != null) && (decoded.scp.indexOf('launch/patient') > -1)) {
+  const decoded = jwtDecode(tokens.access_token);
+  let launchContext;
+  try {
+    launchContext = await resolveLaunchContext(config, decoded.scp || [], tokens.access_token, validateToken);
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not resolve the launch context for the provided authorization code", error);
+    res.status(400).json({
+      error: "invalid_grant",
+      error_description: "We were unable to find a valid patient identifier for the provided authorization code.",
+    });
+    return next(error);
+  }
+  res.json({...tokenResponseBase, ...launchContext, state});
+  return next();
+};
+
+// Proxies a client_credentials grant for system-to-system access. Only
+// confidential clients listed in client_credentials_scopes may use it, and
+// only for the scopes listed for them there; without a scope parameter all of
+// them are requested. There is no user, so nothing is saved in the state
+// store and no launch context is added.
+const clientCredentialsGrant = async (config, logger, client, req, res, next) => {
+  const allowedScopes = (config.client_credentials_scopes || {})[client.client_id];
+  if (client.token_endpoint_auth_method === 'none' || !allowedScopes || allowedScopes.length === 0) {
+    res.status(400).json({
+      error: "unauthorized_client",
+      error_description: "The client is not allowed to use the client_credentials grant",
+    });
+    return next();
+  }
+
+  const scopeParam = (req.body.scope || '').split(' ').filter((scope) => scope);
+  const requestedScopes = scopeParam.length > 0 ? scopeParam : allowedScopes;
+  const deniedScopes = requestedScopes.filter((scope) => allowedScopes.indexOf(scope) === -1);
+  if (deniedScopes.length > 0) {
+    res.status(400).json({
+      error: "invalid_scope",
+      error_description: `The client is not allowed to request these scopes: ${deniedScopes.join(' ')}`,
+    });
+    return next();
+  }
+
+  let tokens;
+  try {
+    tokens = await client.grant({ grant_type: 'client_credentials', scope: requestedScopes.join(' ') });
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Failed to retrieve tokens for the client_credentials grant", error);
+    const statusCode = statusCodeFromError(error);
+    res.status(statusCode).json({
+      error: error.error,
+      error_description: error.error_description,
+    });
+    return next();
+  }
+
+  res.json(translateTokenSet(tokens));
+  return next();
+};
+
+// Proxies an RFC 8693 token exchange, so that a service holding a user's
+// access token can call another API on the user's behalf. The subject token
+// is checked with the validation API. token_exchange_policy lists, per
+// client, the audiences it may exchange tokens for and the scopes allowed for
+// each. The new token can only have scopes the subject token also has;
+// without a scope parameter it gets all of those the policy allows.
+const tokenExchangeGrant = async (config, logger, client, validateToken, req, res, next) => {
+  const { subject_token, subject_token_type, audience } = req.body;
+  const policy = (config.token_exchange_policy || {})[client.client_id];
+  if (client.token_endpoint_auth_method === 'none' || !policy) {
+    res.status(400).json({
+      error: "unauthorized_client",
+      error_description: "The client is not allowed to exchange tokens",
+    });
+    return next();
+  }
+
+  if (!subject_token || subject_token_type !== ACCESS_TOKEN_TYPE) {
+    res.status(400).json({
+      error: "invalid_request",
+      error_description: `subject_token and a subject_token_type of ${ACCESS_TOKEN_TYPE} are required`,
+    });
+    return next();
+  }
+
+  const audienceScopes = audience ? policy[audience] : undefined;
+  if (!audienceScopes) {
+    res.status(400).json({
+      error: "invalid_target",
+      error_description: `The client is not allowed to exchange tokens for the audience: ${audience}`,
+    });
+    return next();
+  }
+
+  let subjectScopes;
+  try {
+    await validateToken(subject_token);
+    subjectScopes = jwtDecode(subject_token).scp || [];
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Could not validate the subject token of a token exchange", error);
+    res.status(400).json({
+      error: "invalid_grant",
+      error_description: "The subject token is invalid",
+    });
+    return next();
+  }
+
+  const scopeParam = (req.body.scope || '').split(' ').filter((scope) => scope);
+  const allowedScopes = audienceScopes.filter((scope) => subjectScopes.indexOf(scope) > -1);
+  const requestedScopes = scopeParam.length > 0 ? scopeParam : allowedScopes;
+  const deniedScopes = requestedScopes.filter((scope) => allowedScopes.indexOf(scope) === -1);
+  if (requestedScopes.length === 0 || deniedScopes.length > 0) {
+    res.status(400).json({
+      error: "invalid_scope",
+      error_description: deniedScopes.length > 0 ?
+        `The exchanged token can't have these scopes: ${deniedScopes.join(' ')}` :
+        "The subject token has none of the scopes allowed for the audience",
+    });
+    return next();
+  }
+
+  let tokens;
+  try {
+    tokens = await client.grant({
+      grant_type: TOKEN_EXCHANGE_GRANT_TYPE,
+      subject_token,
+      subject_token_type,
+      audience,
+      scope: requestedScopes.join(' '),
+    });
+  } catch (error) {
+    rethrowIfRuntimeError(error);
+    logger.error("Failed to exchange the token with the upstream issuer", error);
+    const statusCode = statusCodeFromError(error);
+    res.status(statusCode).json({
+      error: error.error,
+      error_description: error.error_description,
+    });
+    return next();
+  }
+
+  res.json({
+    ...translateTokenSet(tokens),
+    issued_token_type: tokens.issued_token_type || ACCESS_TOKEN_TYPE,
+  });
+  return next();
+};
+
+// Resolves with the tokens the user approved for device_code, or with the
+// RFC 8628 section 3.5 error to respond with while the device has to keep
+// waiting. Devices polling more often than their interval allows are told to
+// slow down, and their interval grows for the rest of the request.
+const pollDeviceAuthorization = async (stateStore, client, device_code) => {
+  const record = device_code ? await stateStore.getDeviceAuthorizationByDeviceCode(device_code) : undefined;
+  if (!record) {
+    return { pollError: { error: "expired_token", error_description: "The device_code is invalid or has expired" } };
+  }
+  if (record.client_id !== client.client_id) {
+    return { pollError: { error: "invalid_grant", error_description: "The device_code was issued to another client" } };
+  }
+
+  if (record.status === 'denied') {
+    await stateStore.removeDeviceAuthorization(record);
+    return { pollError: { error: "access_denied", error_description: "The user denied the authorization request" } };
+  }
+  if (record.status === 'approved' || record.status === 'collected') {
+    // Tokens are handed out once, to the poll that marks the record collected.
+    const collected = await stateStore.collectDeviceAuthorization(record.device_id);
+    if (!collected) {
+      return { pollError: { error: "invalid_grant", error_description: "The device_code has already been used" } };
+    }
+    await stateStore.removeDeviceAuthorization(collected);
+    return { tokens: new TokenSet(collected.tokens) };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (record.last_polled_at != null && now - record.last_polled_at < record.interval) {
+    await stateStore.updateDeviceAuthorization(record.device_id, {
+      interval: record.interval + SLOW_DOWN_INCREMENT_SECONDS,
+      last_polled_at: now,
+    });
+    return { pollError: { error: "slow_down", error_description: "The device is polling too often" } };
+  }
+  await stateStore.updateDeviceAuthorization(record.device_id, { last_polled_at: now });
+  return { pollError: { error: "authorization_pending", error_description: "The user has not completed the authorization request yet" } };
+};
+
+// A superseded refresh token was presented again, so either it or its
+// successor has been stolen. Revokes the current refresh token of the family
+// upstream and forgets the family's state record, so neither party can keep
+// refreshing.
+const revokeRefreshTokenFamily = async (logger, client, stateStore, familyState, reused_refresh_token) => {
+  refreshTokenReuseCounter.inc();
+  logger.warn("Refresh token reuse detected", {
+    security_event: 'refresh_token_reuse',
+    state: familyState,
+    client_id: client.client_id,
+  });
+
+  const family = await stateStore.getByState(familyState);
+  const tokensToRevoke = [reused_refresh_token];
+  if (family && family.refresh_token) {
+    tokensToRevoke.push(family.refresh_token);
+  }
+  for (const refresh_token of tokensToRevoke) {
     try {
-      const validation_result = await validateToken(tokens.access_token);
-      const patient = validation_result.va_identifiers.icn;
-      res.json({...tokenResponseBase, patient, state});
-      return next();
+      await client.revoke(refresh_token, 'refresh_token');
     } catch (error) {
       rethrowIfRuntimeError(error);
-      logger.error("Could not find a valid patient identifier for the provided authorization code", error);
-      res.status(400).json({
-        error: "invalid_grant",
-        error_description: "We were unable to find a valid patient identifier for the provided authorization code.",
-      });
-      return next(error);
+      logger.error("Could not revoke a refresh token of a reused refresh token family", error);
     }
-  } else {
-    res.json({...tokenResponseBase, state});
-    return next();
   }
+  await stateStore.remove(familyState);
+};
+
+// Returns a description of why the code_verifier does not satisfy the PKCE
+// policy for the authorization request, or undefined if it does. Public
+// clients must use PKCE. Upstream verifies the code_verifier again.
+const checkPkce = (config, client, document, code_verifier) => {
+  if (!document || !document.code_challenge) {
+    if (client.token_endpoint_auth_method === 'none') {
+      return "PKCE is required for public clients";
+    }
+    return undefined;
+  }
+  if (document.code_challenge_method === 'plain' && config.pkce_reject_plain) {
+    return "The plain code_challenge_method is not allowed";
+  }
+  if (!code_verifier) {
+    return "code_verifier is required";
+  }
+  if (!verifyCodeVerifier(code_verifier, document.code_challenge, document.code_challenge_method)) {
+    return "code_verifier does not match the code_challenge";
+  }
+  return undefined;
 };
 
 module.exports = tokenHandler;
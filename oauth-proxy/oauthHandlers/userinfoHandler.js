@@ -0,0 +1,86 @@
+const axios = require('axios');
+const jwtDecode = require('jwt-decode');
+const { launchContextResolvers, resolveLaunchContext } = require('./launchContext');
+
+// The standard claims each OpenID Connect scope grants. See
+// https://openid.net/specs/openid-connect-core-1_0.html#ScopeClaims
+const scopeClaims = {
+  profile: [
+    'name', 'family_name', 'given_name', 'middle_name', 'nickname', 'preferred_username', 'profile',
+    'picture', 'website', 'gender', 'birthdate', 'zoneinfo', 'locale', 'updated_at',
+  ],
+  email: ['email', 'email_verified'],
+  address: ['address'],
+  phone: ['phone_number', 'phone_number_verified'],
+};
+
+// The launch context fields that are also userinfo claims, so that SMART apps
+// can find out who the user is in FHIR terms.
+const userinfoResolvers = launchContextResolvers.filter((resolver) =>
+  resolver.field === 'patient' || resolver.field === 'fhirUser');
+
+// Fetches the upstream userinfo for the bearer token, keeps only the claims
+// the granted scopes allow, and adds the patient ICN and fhirUser reference
+// from the validation API. If the token can't be validated the claims are
+// returned without them.
+const userinfoHandler = async (config, logger, issuer, validateCachedToken, req, res, next) => {
+  let response;
+  try {
+    response = await axios.get(issuer.metadata.userinfo_endpoint, {
+      headers: {
+        ...(req.headers.authorization ? { authorization: req.headers.authorization } : {}),
+        accept: 'application/json',
+      },
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    logger.error("Failed to get userinfo from the upstream issuer", error);
+    return next(error);
+  }
+
+  if (response.status !== 200) {
+    if (response.headers['www-authenticate']) {
+      res.set('WWW-Authenticate', response.headers['www-authenticate']);
+    }
+    res.status(response.status).json(response.data);
+    return next();
+  }
+
+  const access_token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  let decoded = {};
+  try {
+    decoded = jwtDecode(access_token);
+  } catch (error) {
+    logger.warn("Could not decode the access token presented for userinfo");
+  }
+  const scopes = decoded.scp || [];
+
+  const claims = filterClaims(response.data, scopes);
+  try {
+    const launchContext = await resolveLaunchContext(
+      config,
+      scopes,
+      access_token,
+      (token) => validateCachedToken(token, decoded.exp),
+      userinfoResolvers
+    );
+    res.json({ ...claims, ...launchContext });
+  } catch (error) {
+    logger.error("Could not add the patient and fhirUser claims to the userinfo response", error);
+    res.json(claims);
+  }
+  return next();
+};
+
+function filterClaims(userinfo, scopes) {
+  return scopes.reduce((claims, scope) => {
+    (scopeClaims[scope] || []).forEach((claim) => {
+      if (claim in userinfo) {
+        claims[claim] = userinfo[claim];
+      }
+    });
+    return claims;
+  }, { sub: userinfo.sub });
+}
+
+module.exports = userinfoHandler;
@@ -0,0 +1,100 @@
+'use strict';
+
+const { config, DynamoDB } = require('aws-sdk');
+const { RateLimitStore, takeToken } = require('./rateLimitStore');
+
+// Attempts to update a bucket other processes keep updating before giving up.
+const MAX_ATTEMPTS = 3;
+
+// Keeps token buckets in the DynamoDB table of the state store, so that all
+// processes share them. Buckets are keyed by `rate_limit:` and the bucket key
+// and updated with a condition on their previous update time, so concurrent
+// updates are retried rather than lost. A bucket that is still contended
+// after MAX_ATTEMPTS is treated as empty.
+class DynamoRateLimitStore extends RateLimitStore {
+  constructor(client, tableName) {
+    super();
+    this.client = client;
+    this.tableName = tableName;
+  }
+
+  static create(awsConfig, local, tableName) {
+    config.update(awsConfig);
+    const client = local ? new DynamoDB({ endpoint: `http://${local}` }) : new DynamoDB();
+    return new DynamoRateLimitStore(client, tableName);
+  }
+
+  async take(key, capacity, refillPerSecond) {
+    const state = `rate_limit:${key}`;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const previous = await this.getBucket(state);
+      const { bucket, allowed, retryAfterSeconds } = takeToken(previous, capacity, refillPerSecond, Date.now() / 1000);
+      try {
+        await this.putBucket(state, bucket, previous);
+        return { allowed, retryAfterSeconds };
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+    return { allowed: false, retryAfterSeconds: Math.ceil(1 / refillPerSecond) };
+  }
+
+  async check(key, capacity, refillPerSecond) {
+    const previous = await this.getBucket(`rate_limit:${key}`);
+    const { allowed, retryAfterSeconds } = takeToken(previous, capacity, refillPerSecond, Date.now() / 1000);
+    return { allowed, retryAfterSeconds };
+  }
+
+  // Reads are consistent, as a stale bucket would fail the conditional put.
+  getBucket(state) {
+    const params = {
+      ConsistentRead: true,
+      Key: DynamoDB.Converter.marshall({ state }),
+      TableName: this.tableName,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.client.getItem(params, (err, data) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data.Item && DynamoDB.Converter.unmarshall(data.Item));
+        }
+      });
+    });
+  }
+
+  // Saves bucket unless it was updated since previous was read. The bucket
+  // expires once it is full again, as a full bucket is the same as none.
+  putBucket(state, bucket, previous) {
+    const params = {
+      Item: DynamoDB.Converter.marshall({
+        state,
+        tokens: bucket.tokens,
+        updated_at: bucket.updated_at,
+        expires_on: Math.ceil(bucket.full_at),
+      }),
+      ConditionExpression: previous ? 'updated_at = :previous' : 'attribute_not_exists(#state)',
+      TableName: this.tableName,
+    };
+    if (previous) {
+      params.ExpressionAttributeValues = DynamoDB.Converter.marshall({ ':previous': previous.updated_at });
+    } else {
+      params.ExpressionAttributeNames = { '#state': 'state' };
+    }
+
+    return new Promise((resolve, reject) => {
+      this.client.putItem(params, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+module.exports = DynamoRateLimitStore;
@@ -0,0 +1,33 @@
+'use strict';
+
+const { RateLimitStore } = require('./rateLimitStore');
+const DynamoRateLimitStore = require('./dynamoRateLimitStore');
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const { clientRateLimitMiddleware, rateLimitMiddleware } = require('./rateLimitMiddleware');
+
+const RATE_LIMIT_STORES = ['memory', 'dynamodb'];
+
+function createRateLimitStore(config) {
+  if (config.rate_limit_store !== 'dynamodb') {
+    return new MemoryRateLimitStore();
+  }
+  return DynamoRateLimitStore.create(
+    Object.assign({},
+      { region: config.aws_region },
+      config.aws_id === null ? null : { accessKeyId: config.aws_id },
+      config.aws_secret === null ? null : { secretAccessKey: config.aws_secret }
+    ),
+    config.dynamo_local,
+    config.dynamo_table_name,
+  );
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  createRateLimitStore,
+  clientRateLimitMiddleware,
+  rateLimitMiddleware,
+  RateLimitStore,
+  DynamoRateLimitStore,
+  MemoryRateLimitStore,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const { RateLimitStore, takeToken } = require('./rateLimitStore');
+
+const SWEEP_INTERVAL_SECONDS = 60;
+
+// Keeps token buckets in process memory, so every process has its own
+// buckets. Buckets that have filled up again are swept away periodically.
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super();
+    this.buckets = new Map();
+    this.sweptAt = 0;
+  }
+
+  async take(key, capacity, refillPerSecond) {
+    const now = Date.now() / 1000;
+    if (now - this.sweptAt >= SWEEP_INTERVAL_SECONDS) {
+      this.sweep(now);
+    }
+    const { bucket, allowed, retryAfterSeconds } = takeToken(this.buckets.get(key), capacity, refillPerSecond, now);
+    this.buckets.set(key, bucket);
+    return { allowed, retryAfterSeconds };
+  }
+
+  async check(key, capacity, refillPerSecond) {
+    const { allowed, retryAfterSeconds } = takeToken(this.buckets.get(key), capacity, refillPerSecond, Date.now() / 1000);
+    return { allowed, retryAfterSeconds };
+  }
+
+  sweep(now) {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.full_at <= now) {
+        this.buckets.delete(key);
+      }
+    });
+    this.sweptAt = now;
+  }
+}
+
+module.exports = MemoryRateLimitStore;
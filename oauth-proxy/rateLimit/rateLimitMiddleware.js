@@ -0,0 +1,94 @@
+'use strict';
+
+const { parseBasicAuth } = require('../utils');
+const { rateLimitedCounter } = require('../metrics');
+const { renderErrorPage } = require('../oauthHandlers/authorizationResponse');
+
+// The client_id a request claims to be from, which is not authenticated yet.
+const claimedClientId = (req) => {
+  const basicAuth = parseBasicAuth(req);
+  if (basicAuth) {
+    return basicAuth.username;
+  }
+  return (req.body && req.body.client_id) || req.query.client_id;
+};
+
+// Answers a limited request with a 429 response and a Retry-After header, as
+// JSON or for browser navigations as an error page.
+const rejectLimited = (req, res, endpoint, limit, result) => {
+  rateLimitedCounter.inc({ endpoint, limit });
+  res.set('Retry-After', String(result.retryAfterSeconds));
+  const error_description = `Too many requests. Try again in ${result.retryAfterSeconds} seconds.`;
+  if (req.method === 'GET') {
+    renderErrorPage(res, 429, "temporarily_unavailable", error_description);
+  } else {
+    res.status(429).json({ error: "temporarily_unavailable", error_description });
+  }
+};
+
+// Returns middleware limiting the requests to endpoint to
+// config.rate_limit_per_ip a minute per client IP address, as express works
+// it out with the trust proxy setting. The limit is off when it is 0, and
+// allows bursts of up to a minute's worth of requests.
+//
+// If the store fails, requests are let through rather than taking the
+// endpoint down with it.
+const rateLimitMiddleware = (config, logger, rateLimitStore, endpoint) => async (req, res, next) => {
+  if (!req.ip || !(config.rate_limit_per_ip > 0)) {
+    return next();
+  }
+  const perMinute = config.rate_limit_per_ip;
+  let result;
+  try {
+    result = await rateLimitStore.take(`${endpoint}:ip:${req.ip}`, perMinute, perMinute / 60);
+  } catch (error) {
+    logger.error("Could not check the rate limit, letting the request through", error);
+    return next();
+  }
+  if (!result.allowed) {
+    logger.warn("Rate limited a request", { endpoint, limit: 'ip', ip: req.ip });
+    return rejectLimited(req, res, endpoint, 'ip', result);
+  }
+  next();
+};
+
+// Returns middleware limiting the requests to endpoint to
+// config.rate_limit_per_client a minute per client. Only requests the client
+// authenticated count, so that requests merely claiming a client_id can't use
+// up that client's limit: the bucket is checked before the request is
+// handled, and a token is taken once the response is anything but a 401.
+// Concurrent requests of a client may briefly go over the limit.
+const clientRateLimitMiddleware = (config, logger, rateLimitStore, endpoint) => async (req, res, next) => {
+  const client_id = claimedClientId(req);
+  if (!client_id || !(config.rate_limit_per_client > 0)) {
+    return next();
+  }
+  const key = `${endpoint}:client:${client_id}`;
+  const perMinute = config.rate_limit_per_client;
+  let result;
+  try {
+    result = await rateLimitStore.check(key, perMinute, perMinute / 60);
+  } catch (error) {
+    logger.error("Could not check the rate limit, letting the request through", error);
+    return next();
+  }
+  if (!result.allowed) {
+    logger.warn("Rate limited a request", { endpoint, limit: 'client', client_id });
+    return rejectLimited(req, res, endpoint, 'client', result);
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode === 401) {
+      return;
+    }
+    rateLimitStore.take(key, perMinute, perMinute / 60).catch((error) => {
+      logger.error("Could not count the request against the client's rate limit", error);
+    });
+  });
+  next();
+};
+
+module.exports = {
+  clientRateLimitMiddleware,
+  rateLimitMiddleware,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+// A rate limit store keeps token buckets. Each bucket holds up to capacity
+// tokens and gains refillPerSecond tokens a second. A request takes one
+// token, and is limited while its bucket is empty.
+//
+// Implementations provide take, which resolves with { allowed,
+// retryAfterSeconds }, retryAfterSeconds being how long until the bucket has
+// a token again, and check, which resolves with what take would without
+// taking a token.
+class RateLimitStore {
+  take(key, capacity, refillPerSecond) {
+    throw new Error('Not implemented');
+  }
+
+  check(key, capacity, refillPerSecond) {
+    throw new Error('Not implemented');
+  }
+}
+
+// Refills bucket, a { tokens, updated_at } saved by an earlier call or
+// undefined for a new bucket, up to now in epoch seconds and takes a token
+// from it if it has one. Returns the result of take along with the bucket to
+// save, which has full_at set to when it will be full again and can be
+// forgotten.
+const takeToken = (bucket, capacity, refillPerSecond, now) => {
+  const tokens = bucket ?
+    Math.min(capacity, bucket.tokens + Math.max(now - bucket.updated_at, 0) * refillPerSecond) :
+    capacity;
+  const allowed = tokens >= 1;
+  const remaining = allowed ? tokens - 1 : tokens;
+  return {
+    allowed,
+    retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+    bucket: {
+      tokens: remaining,
+      updated_at: now,
+      full_at: now + (capacity - remaining) / refillPerSecond,
+    },
+  };
+};
+
+module.exports = {
+  RateLimitStore,
+  takeToken,
+};
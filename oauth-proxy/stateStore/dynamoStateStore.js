@@ -0,0 +1,205 @@
+'use strict';
+
+const { config, DynamoDB } = require('aws-sdk');
+const StateStore = require('./stateStore');
+
+// Keeps OAuth state records in a DynamoDB table keyed by `state`, with
+// secondary indexes on `code` and `refresh_token`. See dynamo_schema.js for
+// the table definition.
+class DynamoStateStore extends StateStore {
+  constructor(client, tableName, options) {
+    super(options);
+    this.client = client;
+    this.tableName = tableName;
+  }
+
+  static create(awsConfig, local, tableName, options) {
+    config.update(awsConfig);
+    const client = local ? new DynamoDB({ endpoint: `http://${local}` }) : new DynamoDB();
+    return new DynamoStateStore(client, tableName, options);
+  }
+
+  save(state, attributes) {
+    return this.update(state, attributes, {});
+  }
+
+  saveIf(state, attributes, expected) {
+    return this.update(state, attributes, expected).catch((err) => {
+      if (err.code === 'ConditionalCheckFailedException') {
+        return undefined;
+      }
+      throw err;
+    });
+  }
+
+  // Sets attributes in the record for state. If expected has attributes, the
+  // record must exist and have them.
+  update(state, attributes, expected) {
+    const names = Object.keys(attributes);
+    const expectedNames = Object.keys(expected);
+    const params = {
+      ExpressionAttributeNames: names.reduce((accum, name, i) => {
+        accum[`#k${i}`] = name;
+        return accum;
+      }, {}),
+      ExpressionAttributeValues: DynamoDB.Converter.marshall(names.reduce((accum, name, i) => {
+        accum[`:v${i}`] = attributes[name];
+        return accum;
+      }, {})),
+      Key: DynamoDB.Converter.marshall({ state }),
+      ReturnValues: "ALL_NEW",
+      UpdateExpression: `SET ${names.map((_, i) => `#k${i} = :v${i}`).join(', ')}`,
+      TableName: this.tableName,
+    };
+    if (expectedNames.length > 0) {
+      params.ConditionExpression = ['attribute_exists(#state)']
+        .concat(expectedNames.map((_, i) => `#e${i} = :e${i}`))
+        .join(' AND ');
+      params.ExpressionAttributeNames['#state'] = 'state';
+      expectedNames.forEach((name, i) => {
+        params.ExpressionAttributeNames[`#e${i}`] = name;
+        params.ExpressionAttributeValues[`:e${i}`] = DynamoDB.Converter.input(expected[name]);
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.client.updateItem(params, (err, data) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(DynamoDB.Converter.unmarshall(data.Attributes));
+        }
+      });
+    });
+  }
+
+  // The condition fails if a record exists that has not expired. Records
+  // expired but not yet removed by TTL may be replaced.
+  create(state, attributes) {
+    const params = {
+      ConditionExpression: 'attribute_not_exists(#state) OR #expires_on <= :now',
+      ExpressionAttributeNames: {
+        '#state': 'state',
+        '#expires_on': 'expires_on',
+      },
+      ExpressionAttributeValues: DynamoDB.Converter.marshall({ ':now': Math.floor(Date.now() / 1000) }),
+      Item: DynamoDB.Converter.marshall({ ...attributes, state }),
+      TableName: this.tableName,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.client.putItem(params, (err) => {
+        if (err && err.code === 'ConditionalCheckFailedException') {
+          resolve(false);
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  }
+
+  remove(state) {
+    const params = {
+      Key: DynamoDB.Converter.marshall({ state }),
+      TableName: this.tableName,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.client.deleteItem(params, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  take(state, expected) {
+    const names = Object.keys(expected);
+    const params = {
+      ConditionExpression: ['attribute_exists(#state)']
+        .concat(names.map((_, i) => `#e${i} = :e${i}`))
+        .join(' AND '),
+      ExpressionAttributeNames: names.reduce((accum, name, i) => {
+        accum[`#e${i}`] = name;
+        return accum;
+      }, { '#state': 'state' }),
+      Key: DynamoDB.Converter.marshall({ state }),
+      ReturnValues: 'ALL_OLD',
+      TableName: this.tableName,
+    };
+    if (names.length > 0) {
+      params.ExpressionAttributeValues = DynamoDB.Converter.marshall(names.reduce((accum, name, i) => {
+        accum[`:e${i}`] = expected[name];
+        return accum;
+      }, {}));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.client.deleteItem(params, (err, data) => {
+        if (err && err.code === 'ConditionalCheckFailedException') {
+          resolve(undefined);
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(data.Attributes && DynamoDB.Converter.unmarshall(data.Attributes));
+        }
+      });
+    });
+  }
+
+  lookup(key, value) {
+    if (key === 'state') {
+      return this.getByKey(value);
+    }
+    return this.getBySecondary(key, value);
+  }
+
+  getByKey(state) {
+    const params = {
+      Key: DynamoDB.Converter.marshall({ state }),
+      TableName: this.tableName,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.client.getItem(params, (err, data) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data.Item && DynamoDB.Converter.unmarshall(data.Item));
+        }
+      });
+    });
+  }
+
+  getBySecondary(key, value) {
+    const params = {
+      IndexName: `oauth_${key}_index`,
+      KeyConditionExpression: '#key= :k',
+      ExpressionAttributeNames: {
+        '#key': key,
+      },
+      ExpressionAttributeValues: {
+        ':k': {
+          'S': value,
+        },
+      },
+      TableName: this.tableName,
+    };
+
+    return new Promise((resolve, reject) => {
+      this.client.query(params, (err, data) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data.Items[0] && DynamoDB.Converter.unmarshall(data.Items[0]));
+        }
+      });
+    });
+  }
+}
+
+module.exports = DynamoStateStore;
@@ -0,0 +1,35 @@
+'use strict';
+
+const StateStore = require('./stateStore');
+const DynamoStateStore = require('./dynamoStateStore');
+const MemoryStateStore = require('./memoryStateStore');
+
+const STATE_STORES = ['dynamodb', 'memory'];
+
+function createStateStore(config) {
+  const options = {
+    codeLifetimeSeconds: config.state_code_lifetime_seconds,
+    refreshTokenLifetimeSeconds: config.state_refresh_token_lifetime_seconds,
+  };
+  if (config.state_store === 'memory') {
+    return new MemoryStateStore(options);
+  }
+  return DynamoStateStore.create(
+    Object.assign({},
+      { region: config.aws_region },
+      config.aws_id === null ? null : { accessKeyId: config.aws_id },
+      config.aws_secret === null ? null : { secretAccessKey: config.aws_secret }
+    ),
+    config.dynamo_local,
+    config.dynamo_table_name,
+    options,
+  );
+}
+
+module.exports = {
+  STATE_STORES,
+  createStateStore,
+  StateStore,
+  DynamoStateStore,
+  MemoryStateStore,
+};
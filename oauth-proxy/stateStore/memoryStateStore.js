@@ -0,0 +1,67 @@
+'use strict';
+
+const StateStore = require('./stateStore');
+
+const matches = (record, expected) => Object.keys(expected).every((name) => record[name] === expected[name]);
+
+// Keeps OAuth state records in process memory. Records are lost on restart
+// and are not shared between processes, so this is only suitable for local
+// development and tests.
+class MemoryStateStore extends StateStore {
+  constructor(options) {
+    super(options);
+    this.records = new Map();
+  }
+
+  async save(state, attributes) {
+    const record = { ...this.records.get(state), ...attributes, state };
+    this.records.set(state, record);
+    return { ...record };
+  }
+
+  async saveIf(state, attributes, expected) {
+    const record = this.records.get(state);
+    if (!record || !matches(record, expected)) {
+      return undefined;
+    }
+    return this.save(state, attributes);
+  }
+
+  // The check and the write happen without yielding, so no other request can
+  // create the record in between.
+  async create(state, attributes) {
+    if (this.unlessExpired(this.records.get(state))) {
+      return false;
+    }
+    this.records.set(state, { ...attributes, state });
+    return true;
+  }
+
+  async remove(state) {
+    this.records.delete(state);
+  }
+
+  async take(state, expected) {
+    const record = this.records.get(state);
+    if (!record || !matches(record, expected)) {
+      return undefined;
+    }
+    this.records.delete(state);
+    return { ...record };
+  }
+
+  async lookup(key, value) {
+    if (key === 'state') {
+      const record = this.records.get(value);
+      return record && { ...record };
+    }
+    for (const record of this.records.values()) {
+      if (record[key] === value) {
+        return { ...record };
+      }
+    }
+    return undefined;
+  }
+}
+
+module.exports = MemoryStateStore;
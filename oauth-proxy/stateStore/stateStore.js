@@ -0,0 +1,230 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Records only need to outlive the authorization code exchange until a
+// refresh token is issued. After that they live as long as the refresh token
+// may be used.
+const DEFAULT_CODE_LIFETIME_SECONDS = 60 * 10;
+const DEFAULT_REFRESH_TOKEN_LIFETIME_SECONDS = 60 * 60 * 24 * 30;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+// Superseded refresh tokens and issued ID tokens are kept as records of their
+// own, keyed by a hash of the token so that the tokens themselves are not
+// stored.
+const hashedTokenKey = (kind, token) =>
+  `${kind}:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+// A state store keeps the OAuth state records that let the proxy map an
+// authorization code or refresh token back to the `state` and client
+// `redirect_uri` of the original authorization request. Records are plain
+// objects of the saved attributes plus `state` and `expires_on`, the epoch
+// second after which the record must no longer be used.
+//
+// Implementations provide save, saveIf, create, remove, take and lookup.
+// Lookups resolve with undefined when there is no matching record, or when the
+// record has expired but has not been removed by the backend yet. saveIf,
+// create and take check and write in one atomic step, so that records meant
+// to be used once can't be used by concurrent requests.
+class StateStore {
+  constructor(options = {}) {
+    this.codeLifetimeSeconds = options.codeLifetimeSeconds || DEFAULT_CODE_LIFETIME_SECONDS;
+    this.refreshTokenLifetimeSeconds = options.refreshTokenLifetimeSeconds || DEFAULT_REFRESH_TOKEN_LIFETIME_SECONDS;
+  }
+
+  // Merges attributes into the record for state, creating it if needed.
+  // Resolves with the updated record.
+  save(state, attributes) {
+    throw new Error('Not implemented');
+  }
+
+  // Merges attributes into the record for state if its attributes equal those
+  // of expected, checking and writing in one atomic step. Resolves with the
+  // updated record, or with undefined if there is no such record.
+  saveIf(state, attributes, expected) {
+    throw new Error('Not implemented');
+  }
+
+  // Creates the record for state with attributes unless there is a record for
+  // state that has not expired, checking and writing in one atomic step.
+  // Resolves with true if the record was created and false otherwise.
+  create(state, attributes) {
+    throw new Error('Not implemented');
+  }
+
+  // Deletes the record for state, if there is one.
+  remove(state) {
+    throw new Error('Not implemented');
+  }
+
+  // Deletes the record for state if its attributes equal those of expected,
+  // checking and deleting in one atomic step. Resolves with the deleted
+  // record, expired or not, or with undefined if nothing was deleted.
+  take(state, expected) {
+    throw new Error('Not implemented');
+  }
+
+  // Resolves with the record whose attribute key is value, expired or not.
+  // key is one of state, code or refresh_token.
+  lookup(key, value) {
+    throw new Error('Not implemented');
+  }
+
+  async getByState(state) {
+    return this.unlessExpired(await this.lookup('state', state));
+  }
+
+  async getByCode(code) {
+    return this.unlessExpired(await this.lookup('code', code));
+  }
+
+  async getByRefreshToken(refresh_token) {
+    return this.unlessExpired(await this.lookup('refresh_token', refresh_token));
+  }
+
+  // Deletes the record holding refresh_token so that it can no longer be
+  // mapped back to a state. Resolves with the deleted record, if any.
+  async removeByRefreshToken(refresh_token) {
+    const record = await this.lookup('refresh_token', refresh_token);
+    if (record) {
+      await this.remove(record.state);
+    }
+    return record;
+  }
+
+  // pkce is the { code_challenge, code_challenge_method } of the
+  // authorization request, if it has one. client_id is kept so that later
+  // requests for the record can be checked against the client that made it.
+  saveRedirectUri(state, redirect_uri, pkce, response_mode, client_id) {
+    return this.save(state, {
+      ...pkce,
+      ...(response_mode ? { response_mode } : {}),
+      ...(client_id ? { client_id } : {}),
+      redirect_uri,
+      expires_on: nowInSeconds() + this.codeLifetimeSeconds,
+    });
+  }
+
+  saveCode(state, code) {
+    return this.save(state, { code, expires_on: nowInSeconds() + this.codeLifetimeSeconds });
+  }
+
+  saveRefreshToken(state, refresh_token) {
+    return this.save(state, { refresh_token, expires_on: nowInSeconds() + this.refreshTokenLifetimeSeconds });
+  }
+
+  // Records that refresh_token was replaced by a newer refresh token of the
+  // record for state, so that reuse of it can be traced back to state.
+  saveSupersededRefreshToken(state, refresh_token) {
+    return this.save(hashedTokenKey('superseded_refresh_token', refresh_token), {
+      family_state: state,
+      expires_on: nowInSeconds() + this.refreshTokenLifetimeSeconds,
+    });
+  }
+
+  // Resolves with the state whose record refresh_token was replaced in, or
+  // undefined if refresh_token was never superseded.
+  async getStateOfSupersededRefreshToken(refresh_token) {
+    const record = this.unlessExpired(await this.lookup('state', hashedTokenKey('superseded_refresh_token', refresh_token)));
+    return record && record.family_state;
+  }
+
+  // Records that id_token was issued for the record for state, so that the
+  // record can be found again when the ID token is used as a logout hint.
+  saveIdToken(state, id_token) {
+    return this.save(hashedTokenKey('id_token', id_token), {
+      issued_for_state: state,
+      expires_on: nowInSeconds() + this.refreshTokenLifetimeSeconds,
+    });
+  }
+
+  // Resolves with the state that id_token was issued for, or undefined.
+  async getStateOfIdToken(id_token) {
+    const record = this.unlessExpired(await this.lookup('state', hashedTokenKey('id_token', id_token)));
+    return record && record.issued_for_state;
+  }
+
+  // Deletes the record of id_token.
+  removeIdToken(id_token) {
+    return this.remove(hashedTokenKey('id_token', id_token));
+  }
+
+  // Saves the parameters of a pushed authorization request until they are
+  // used or expire in expires_in seconds.
+  savePushedAuthorizationRequest(request_uri, params, expires_in) {
+    return this.save(`pushed_authorization_request:${request_uri}`, {
+      params,
+      client_id: params.client_id,
+      expires_on: nowInSeconds() + expires_in,
+    });
+  }
+
+  // Resolves with the parameters of the pushed authorization request and
+  // deletes them, so that each request_uri can only be used once. Resolves
+  // with undefined for unknown or expired request URIs, and for those pushed
+  // by a client other than client_id, which are kept.
+  async takePushedAuthorizationRequest(request_uri, client_id) {
+    const record = this.unlessExpired(await this.take(`pushed_authorization_request:${request_uri}`, { client_id }));
+    return record && record.params;
+  }
+
+  // Records that client_id used the client assertion with jti until exp, the
+  // epoch second the assertion expires. Resolves with false if the assertion
+  // was used before, and with true otherwise. Of concurrent uses of the same
+  // assertion only one resolves with true.
+  useClientAssertion(client_id, jti, exp) {
+    return this.create(`client_assertion:${client_id}:${jti}`, { expires_on: exp });
+  }
+
+  // Saves a device authorization request until it expires in expires_in
+  // seconds. The record is keyed by a hash of device_code, with a second
+  // record mapping user_code to it. Resolves with the device_id, the hash the
+  // record can be looked up by without the device_code.
+  async saveDeviceAuthorization(device_code, user_code, attributes, expires_in) {
+    const device_id = crypto.createHash('sha256').update(device_code).digest('hex');
+    const expires_on = nowInSeconds() + expires_in;
+    await this.save(`device_authorization:${device_id}`, { ...attributes, device_id, user_code, expires_on });
+    await this.save(`user_code:${user_code}`, { device_id, expires_on });
+    return device_id;
+  }
+
+  getDeviceAuthorizationByDeviceCode(device_code) {
+    return this.getDeviceAuthorization(crypto.createHash('sha256').update(device_code).digest('hex'));
+  }
+
+  async getDeviceAuthorizationByUserCode(user_code) {
+    const record = this.unlessExpired(await this.lookup('state', `user_code:${user_code}`));
+    return record && this.getDeviceAuthorization(record.device_id);
+  }
+
+  async getDeviceAuthorization(device_id) {
+    return this.unlessExpired(await this.lookup('state', `device_authorization:${device_id}`));
+  }
+
+  updateDeviceAuthorization(device_id, attributes) {
+    return this.save(`device_authorization:${device_id}`, attributes);
+  }
+
+  // Marks an approved device authorization as collected. Resolves with the
+  // record, tokens included, or with undefined if the device authorization
+  // is not approved, so that of concurrent polls only one gets the tokens.
+  async collectDeviceAuthorization(device_id) {
+    return this.unlessExpired(await this.saveIf(`device_authorization:${device_id}`, { status: 'collected' }, { status: 'approved' }));
+  }
+
+  // Deletes the device authorization record and its user code.
+  async removeDeviceAuthorization(record) {
+    await this.remove(`user_code:${record.user_code}`);
+    await this.remove(`device_authorization:${record.device_id}`);
+  }
+
+  unlessExpired(record) {
+    if (record && record.expires_on != null && record.expires_on <= nowInSeconds()) {
+      return undefined;
+    }
+    return record;
+  }
+}
+
+module.exports = StateStore;
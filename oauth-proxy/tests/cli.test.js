@@ -0,0 +1,92 @@
+'use strict';
+
+require('jest');
+const { checkTrustProxy, upstreamConfigs } = require('../cli');
+
+describe('checkTrustProxy', () => {
+  it('requires the trusted proxies to be named for the per-IP rate limit', () => {
+    expect(() => checkTrustProxy({ rate_limit_per_ip: 60 })).toThrow('rate_limit_per_ip requires trust_proxy');
+    expect(() => checkTrustProxy({ rate_limit_per_ip: 60, trust_proxy: true })).toThrow('rate_limit_per_ip requires trust_proxy');
+    expect(checkTrustProxy({ rate_limit_per_ip: 60, trust_proxy: 1 })).toBe(true);
+    expect(checkTrustProxy({ rate_limit_per_ip: 60, trust_proxy: '10.0.0.0/8' })).toBe(true);
+  });
+
+  it('allows trusting every proxy without the per-IP rate limit', () => {
+    expect(checkTrustProxy({})).toBe(true);
+    expect(checkTrustProxy({ rate_limit_per_ip: 0, trust_proxy: true })).toBe(true);
+  });
+});
+
+describe('upstreamConfigs', () => {
+  const config = {
+    host: 'http://localhost:7100',
+    well_known_base_path: '/oauth2',
+    upstream_issuer: 'https://example.okta.com/oauth2/default',
+    idp: 'idp123',
+    validate_endpoint: 'http://localhost/validation',
+    dynamo_table_name: 'OAuthRequests',
+  };
+
+  it('returns the config itself without upstreams', () => {
+    expect(upstreamConfigs(config)).toEqual([config]);
+  });
+
+  it('layers each upstream over the top level config', () => {
+    const configs = upstreamConfigs({
+      ...config,
+      upstreams: [
+        {
+          upstream_issuer: 'https://example.okta.com/oauth2/health',
+          well_known_base_path: '/oauth2/health',
+          dynamo_table_name: 'HealthOAuthRequests',
+        },
+        {
+          upstream_issuer: 'https://example.okta.com/oauth2/benefits',
+          well_known_base_path: '/oauth2/benefits',
+          idp: 'idp456',
+        },
+      ],
+    });
+
+    expect(configs).toEqual([
+      {
+        ...config,
+        upstream_issuer: 'https://example.okta.com/oauth2/health',
+        well_known_base_path: '/oauth2/health',
+        dynamo_table_name: 'HealthOAuthRequests',
+      },
+      {
+        ...config,
+        upstream_issuer: 'https://example.okta.com/oauth2/benefits',
+        well_known_base_path: '/oauth2/benefits',
+        idp: 'idp456',
+      },
+    ]);
+  });
+
+  it('requires an issuer and base path for each upstream', () => {
+    expect(() => upstreamConfigs({
+      ...config,
+      upstreams: [{ upstream_issuer: 'https://example.okta.com/oauth2/health' }],
+    })).toThrow('upstream_issuer and a well_known_base_path');
+  });
+
+  it('rejects duplicate base paths', () => {
+    expect(() => upstreamConfigs({
+      ...config,
+      upstreams: [
+        { upstream_issuer: 'https://example.okta.com/oauth2/health', well_known_base_path: '/oauth2' },
+        { upstream_issuer: 'https://example.okta.com/oauth2/benefits', well_known_base_path: '/oauth2' },
+      ],
+    })).toThrow('Duplicate upstream well_known_base_path');
+  });
+
+  it('rejects options that cannot be set per upstream', () => {
+    expect(() => upstreamConfigs({
+      ...config,
+      upstreams: [
+        { upstream_issuer: 'https://example.okta.com/oauth2/health', well_known_base_path: '/health', okta_token: 'xyz' },
+      ],
+    })).toThrow('Unsupported upstream options: okta_token');
+  });
+});
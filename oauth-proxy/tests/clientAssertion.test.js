@@ -0,0 +1,176 @@
+'use strict';
+
+require('jest');
+const jose = require('node-jose');
+
+const {
+  JWT_BEARER_ASSERTION_TYPE,
+  ClientAssertionVerifier,
+  InvalidClientAssertionError,
+} = require('../clientAssertion');
+const { MemoryStateStore } = require('../stateStore');
+
+const TOKEN_ENDPOINT = 'http://localhost:9090/testServer/token';
+const UPSTREAM_TOKEN_ENDPOINT = 'http://localhost:9091/oauth2/default/v1/token';
+const CLIENT_SECRET = 'a-client-secret-that-is-long-enough-for-hs256';
+
+async function sign(key, claims, alg) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: 'client123',
+    sub: 'client123',
+    aud: TOKEN_ENDPOINT,
+    jti: `jti-${Math.random()}`,
+    exp: now + 60,
+    ...claims,
+  };
+  return jose.JWS.createSign({ format: 'compact', fields: { alg, typ: 'JWT' } }, key)
+    .update(JSON.stringify(payload))
+    .final();
+}
+
+describe('ClientAssertionVerifier', () => {
+  let privateKey;
+  let otherKey;
+  let secretKey;
+  let clientRegistrations;
+  let stateStore;
+  let verifier;
+
+  beforeAll(async () => {
+    const keystore = jose.JWK.createKeyStore();
+    privateKey = await keystore.generate('RSA', 2048, { alg: 'RS256', use: 'sig' });
+    otherKey = await jose.JWK.createKeyStore().generate('RSA', 2048, { alg: 'RS256', use: 'sig' });
+    secretKey = await jose.JWK.asKey({ kty: 'oct', k: jose.util.base64url.encode(Buffer.from(CLIENT_SECRET)) });
+  });
+
+  beforeEach(() => {
+    clientRegistrations = {
+      get: jest.fn().mockResolvedValue({
+        client_id: 'client123',
+        status: 'ACTIVE',
+        jwks: { keys: [privateKey.toJSON()] },
+        client_secret: CLIENT_SECRET,
+      }),
+    };
+    stateStore = new MemoryStateStore();
+    verifier = new ClientAssertionVerifier([TOKEN_ENDPOINT, UPSTREAM_TOKEN_ENDPOINT], clientRegistrations, stateStore);
+  });
+
+  it('accepts private_key_jwt assertions signed with a registered key', async () => {
+    const assertion = await sign(privateKey, {}, 'RS256');
+    expect(await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).toEqual('client123');
+    expect(clientRegistrations.get).toHaveBeenCalledWith('client123');
+  });
+
+  it('accepts client_secret_jwt assertions signed with the client secret', async () => {
+    const assertion = await sign(secretKey, {}, 'HS256');
+    expect(await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE, 'client123')).toEqual('client123');
+  });
+
+  it('prefers keys from the local registry', async () => {
+    verifier = new ClientAssertionVerifier([TOKEN_ENDPOINT], clientRegistrations, stateStore, {
+      client123: { jwks: { keys: [otherKey.toJSON()] } },
+    });
+    const assertion = await sign(otherKey, {}, 'RS256');
+    expect(await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).toEqual('client123');
+    expect(clientRegistrations.get).not.toHaveBeenCalled();
+  });
+
+  it('rejects assertions signed with an unregistered key', async () => {
+    const assertion = await sign(otherKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('signature is invalid');
+  });
+
+  it('rejects replayed assertions', async () => {
+    const assertion = await sign(privateKey, { jti: 'used-once' }, 'RS256');
+    await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE);
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('already been used');
+  });
+
+  it('accepts only one of concurrent uses of the same assertion', async () => {
+    const assertion = await sign(privateKey, { jti: 'used-once' }, 'RS256');
+    const results = await Promise.all([
+      verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE).then(() => 'accepted', (error) => error.message),
+      verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE).then(() => 'accepted', (error) => error.message),
+    ]);
+    expect(results.sort()).toEqual(['Client assertion has already been used', 'accepted']);
+  });
+
+  it('rejects assertions replayed to another verifier sharing the state store', async () => {
+    const assertion = await sign(privateKey, { jti: 'used-once' }, 'RS256');
+    await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE);
+    const otherVerifier = new ClientAssertionVerifier([TOKEN_ENDPOINT], clientRegistrations, stateStore);
+    await expect(otherVerifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('already been used');
+  });
+
+  it('rejects assertions without a jti', async () => {
+    const assertion = await sign(privateKey, { jti: undefined }, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('jti is required');
+  });
+
+  it('rejects expired assertions', async () => {
+    const assertion = await sign(privateKey, { exp: Math.floor(Date.now() / 1000) - 1 }, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('expired');
+  });
+
+  it('rejects assertions for another audience', async () => {
+    const assertion = await sign(privateKey, { aud: 'https://example.com/token' }, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('not intended');
+  });
+
+  it('only accepts the given audiences when they are passed', async () => {
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE, undefined, [UPSTREAM_TOKEN_ENDPOINT]))
+      .rejects.toThrow('not intended');
+    const upstreamAssertion = await sign(privateKey, { aud: UPSTREAM_TOKEN_ENDPOINT }, 'RS256');
+    expect(await verifier.verify(upstreamAssertion, JWT_BEARER_ASSERTION_TYPE, undefined, [UPSTREAM_TOKEN_ENDPOINT]))
+      .toEqual('client123');
+  });
+
+  it('accepts assertions with several audiences', async () => {
+    const assertion = await sign(privateKey, { aud: ['https://example.com/token', TOKEN_ENDPOINT] }, 'RS256');
+    expect(await verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).toEqual('client123');
+  });
+
+  it('rejects assertions for another client', async () => {
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE, 'client456')).rejects.toThrow('does not match client_id');
+  });
+
+  it('rejects assertions whose issuer is not the subject', async () => {
+    const assertion = await sign(privateKey, { sub: 'someone-else' }, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('iss and sub');
+  });
+
+  it('rejects unsupported assertion types', async () => {
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, 'urn:example:saml')).rejects.toThrow(InvalidClientAssertionError);
+  });
+
+  it('rejects malformed assertions', async () => {
+    await expect(verifier.verify('not-a-jwt', JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('Malformed');
+  });
+
+  it('rejects clients it cannot look up', async () => {
+    clientRegistrations.get.mockRejectedValue(new Error('rate limited'));
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow(InvalidClientAssertionError);
+  });
+
+  it('rejects clients whose Okta app is not active', async () => {
+    clientRegistrations.get.mockResolvedValue({
+      client_id: 'client123',
+      status: 'INACTIVE',
+      jwks: { keys: [privateKey.toJSON()] },
+    });
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('not active');
+  });
+
+  it('rejects clients without keys', async () => {
+    clientRegistrations.get.mockResolvedValue({ client_id: 'client123', status: 'ACTIVE' });
+    const assertion = await sign(privateKey, {}, 'RS256');
+    await expect(verifier.verify(assertion, JWT_BEARER_ASSERTION_TYPE)).rejects.toThrow('no JWKS');
+  });
+});
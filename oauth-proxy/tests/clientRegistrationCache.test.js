@@ -0,0 +1,111 @@
+'use strict';
+
+require('jest');
+const timekeeper = require('timekeeper');
+
+const { ClientRegistrationCache } = require('../clientRegistrationCache');
+const { clientRegistrationCacheCounter } = require('../metrics');
+
+const now = new Date('2020-01-01T00:00:00Z');
+const oktaApp = {
+  status: 'ACTIVE',
+  settings: {
+    oauthClient: {
+      redirect_uris: ['http://localhost:8080/oauth/redirect'],
+      grant_types: ['authorization_code', 'refresh_token'],
+    },
+  },
+};
+
+function secondsLater(seconds) {
+  return new Date(now.getTime() + seconds * 1000);
+}
+
+function cacheCount(result) {
+  const metric = clientRegistrationCacheCounter.get().values.find((value) => value.labels.result === result);
+  return metric ? metric.value : 0;
+}
+
+describe('ClientRegistrationCache', () => {
+  let oktaClient;
+  let logger;
+  let cache;
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    clientRegistrationCacheCounter.reset();
+    oktaClient = { getApplication: jest.fn().mockResolvedValue(oktaApp) };
+    logger = { error: jest.fn() };
+    cache = new ClientRegistrationCache(oktaClient, logger, { ttlSeconds: 60, maxStaleSeconds: 600 });
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('fetches unknown clients from Okta', async () => {
+    expect(await cache.get('clientId123')).toEqual({
+      client_id: 'clientId123',
+      redirect_uris: ['http://localhost:8080/oauth/redirect'],
+      grant_types: ['authorization_code', 'refresh_token'],
+      status: 'ACTIVE',
+    });
+    expect(oktaClient.getApplication).toHaveBeenCalledWith('clientId123');
+    expect(cacheCount('miss')).toEqual(1);
+  });
+
+  it('serves fresh registrations from the cache', async () => {
+    await cache.get('clientId123');
+    timekeeper.freeze(secondsLater(59));
+    await cache.get('clientId123');
+    expect(oktaClient.getApplication).toHaveBeenCalledTimes(1);
+    expect(cacheCount('hit')).toEqual(1);
+  });
+
+  it('serves stale registrations while refreshing them', async () => {
+    await cache.get('clientId123');
+    timekeeper.freeze(secondsLater(60));
+    oktaClient.getApplication.mockReturnValue(new Promise(() => {}));
+    expect(await cache.get('clientId123')).toMatchObject({ client_id: 'clientId123' });
+    expect(oktaClient.getApplication).toHaveBeenCalledTimes(2);
+    expect(cacheCount('stale')).toEqual(1);
+  });
+
+  it('keeps serving stale registrations when Okta fails', async () => {
+    await cache.get('clientId123');
+    timekeeper.freeze(secondsLater(120));
+    oktaClient.getApplication.mockRejectedValue(new Error('rate limited'));
+    expect(await cache.get('clientId123')).toMatchObject({ client_id: 'clientId123' });
+    // Let the background refresh fail.
+    await new Promise(setImmediate);
+    expect(await cache.get('clientId123')).toMatchObject({ client_id: 'clientId123' });
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  it('fetches registrations again once they are too stale', async () => {
+    await cache.get('clientId123');
+    timekeeper.freeze(secondsLater(660));
+    oktaClient.getApplication.mockRejectedValue(new Error('rate limited'));
+    await expect(cache.get('clientId123')).rejects.toThrow('rate limited');
+    expect(cacheCount('miss')).toEqual(2);
+  });
+
+  it('does not cache failed lookups', async () => {
+    oktaClient.getApplication.mockRejectedValueOnce(new Error('not found'));
+    await expect(cache.get('clientId123')).rejects.toThrow('not found');
+    expect(await cache.get('clientId123')).toMatchObject({ client_id: 'clientId123' });
+    expect(oktaClient.getApplication).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares concurrent lookups for the same client', async () => {
+    await Promise.all([cache.get('clientId123'), cache.get('clientId123')]);
+    expect(oktaClient.getApplication).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache anything by default', async () => {
+    cache = new ClientRegistrationCache(oktaClient, logger);
+    await cache.get('clientId123');
+    await cache.get('clientId123');
+    expect(oktaClient.getApplication).toHaveBeenCalledTimes(2);
+  });
+});
@@ -3,14 +3,16 @@
 require('jest');
 const axios = require('axios');
 const qs = require('qs');
+const promClient = require('prom-client');
 const { Issuer } = require('openid-client');
 const { randomBytes } = require('crypto');
 
-const { convertObjectToDynamoAttributeValues } = require('./testUtils');
+const { buildFakeStateStore } = require('./testUtils');
 const { buildBackgroundServerModule } = require('../../common/backgroundServer');
 const upstreamOAuthTestServer = require('./upstreamOAuthTestServer');
 const { startServerInBackground, stopBackgroundServer } = buildBackgroundServerModule("oauth-proxy test app");
-const { buildApp } = require('../index');
+const { buildApp, buildMultiUpstreamApp } = require('../index');
+const { MemoryStateStore } = require('../stateStore');
 const { encodeBasicAuthHeader } = require('../utils');
 
 beforeAll(() => {
@@ -46,43 +48,10 @@ function buildFakeOktaClient(fakeRecord) {
   return oktaClient;
 }
 
-
-function buildFakeDynamoClient(fakeDynamoRecord) {
-  const dynamoClient = jest.genMockFromModule('../dynamo_client.js');
-  dynamoClient.saveToDynamo.mockImplementation((handle, state, key, value) => {
-    return new Promise((resolve, reject) => {
-      // It's unclear whether this should resolve with a full records or just
-      // the identity field but thus far it has been irrelevant to the
-      // functional testing of the oauth-proxy.
-      resolve({ pk: state });
-    });
-  });
-  dynamoClient.getFromDynamoBySecondary.mockImplementation((handle, attr, value) => {
-    return new Promise((resolve, reject) => {
-      if (fakeDynamoRecord[attr] === value) {
-        resolve(convertObjectToDynamoAttributeValues(fakeDynamoRecord));
-      } else {
-        reject(`no such ${attr} value`);
-      }
-    });
-  });
-  dynamoClient.getFromDynamoByState.mockImplementation((handle, state) => {
-    return new Promise((resolve, reject) => {
-      if (state === fakeDynamoRecord.state) {
-        resolve(convertObjectToDynamoAttributeValues(fakeDynamoRecord));
-      } else {
-        reject('no such state value');
-      }
-    });
-  });
-  return dynamoClient;
-}
-
 describe('OpenID Connect Conformance', () => {
   let issuer;
   let oktaClient;
-  let dynamoClient;
-  let dynamoHandle;
+  let stateStore;
   const testServerBaseUrlPattern = new RegExp(`^${defaultTestingConfig.host}${defaultTestingConfig.well_known_base_path}.*`);
   const upstreamOAuthTestServerBaseUrlPattern = new RegExp(`^${upstreamOAuthTestServer.baseUrl()}.*`);
 
@@ -91,19 +60,20 @@ describe('OpenID Connect Conformance', () => {
     oktaClient = buildFakeOktaClient({
       client_id: 'clientId123',
       client_secret: 'secretXyz',
+      status: 'ACTIVE',
       settings: {
         oauthClient: {
           redirect_uris: ['http://localhost:8080/oauth/redirect'],
+          post_logout_redirect_uris: ['http://localhost:8080/logged-out'],
         },
       }
     });
-    dynamoClient = buildFakeDynamoClient({
+    stateStore = await buildFakeStateStore({
       state: 'abc123',
       code: 'xyz789',
       refresh_token: 'jkl456',
       redirect_uri: FAKE_CLIENT_APP_REDIRECT_URL,
     });
-    dynamoHandle = jest.mock();
 
     const fakeTokenValidator = (access_token) => {
       return {
@@ -113,7 +83,7 @@ describe('OpenID Connect Conformance', () => {
       };
     };
 
-    const app = buildApp(defaultTestingConfig, issuer, oktaClient, dynamoHandle, dynamoClient, fakeTokenValidator);
+    const app = buildApp(defaultTestingConfig, issuer, oktaClient, stateStore, fakeTokenValidator);
     // We're starting and stopping this server in a beforeAll/afterAll pair,
     // rather than beforeEach/afterEach because this is an end-to-end
     // functional. Since internal application state could affect functionality
@@ -139,6 +109,30 @@ describe('OpenID Connect Conformance', () => {
     expect(resp.headers['access-control-allow-origin']).toMatch(FAKE_CLIENT_APP_URL_PATTERN);
   });
 
+  it('serves the SMART configuration with the proxy endpoints', async () => {
+    const resp = await axios.get('http://localhost:9090/testServer/.well-known/smart-configuration');
+    expect(resp.status).toEqual(200);
+    expect(resp.data).toMatchObject({
+      authorization_endpoint: 'http://localhost:9090/testServer/authorization',
+      token_endpoint: 'http://localhost:9090/testServer/token',
+      introspection_endpoint: 'http://localhost:9090/testServer/introspect',
+      revocation_endpoint: 'http://localhost:9090/testServer/revoke',
+      code_challenge_methods_supported: ['S256'],
+      capabilities: expect.arrayContaining(['launch-standalone', 'permission-offline']),
+    });
+    expect(resp.data.capabilities).not.toContain('client-public');
+  });
+
+  it('allows CORS on the SMART configuration endpoint', async () => {
+    const options = {
+      headers: {
+        'origin': 'http://localhost:8080',
+      }
+    }
+    const resp = await axios.get('http://localhost:9090/testServer/.well-known/smart-configuration', options);
+    expect(resp.headers['access-control-allow-origin']).toMatch(FAKE_CLIENT_APP_URL_PATTERN);
+  });
+
   it('responds to the endpoints described in the OIDC metadata response', async (done) => {
     // This test is making multiple requests. Theoretically it could be broken
     // up, with each request being made in a separate test. That would make it
@@ -159,6 +153,12 @@ describe('OpenID Connect Conformance', () => {
       userinfo_endpoint: expect.stringMatching(testServerBaseUrlPattern),
       token_endpoint: expect.stringMatching(testServerBaseUrlPattern),
       introspection_endpoint: expect.stringMatching(testServerBaseUrlPattern),
+      revocation_endpoint: expect.stringMatching(testServerBaseUrlPattern),
+      pushed_authorization_request_endpoint: expect.stringMatching(testServerBaseUrlPattern),
+      end_session_endpoint: expect.stringMatching(testServerBaseUrlPattern),
+      device_authorization_endpoint: expect.stringMatching(testServerBaseUrlPattern),
+      token_endpoint_auth_methods_supported: expect.arrayContaining(['client_secret_jwt', 'private_key_jwt']),
+      grant_types_supported: ['authorization_code', 'refresh_token'],
     });
 
     await axios.get(parsedMeta.jwks_uri);
@@ -198,6 +198,19 @@ describe('OpenID Connect Conformance', () => {
     // signaure requirement.
   });
 
+  it('serves the JWKS with an ETag clients can revalidate', async () => {
+    const resp = await axios.get('http://localhost:9090/testServer/keys');
+    expect(resp.status).toEqual(200);
+    expect(resp.data).toEqual({ keys: [] });
+    expect(resp.headers['cache-control']).toMatch(/max-age=\d+/);
+
+    const revalidated = await axios.get('http://localhost:9090/testServer/keys', {
+      headers: { 'if-none-match': resp.headers['etag'] },
+      validateStatus: (status) => status < 500,
+    });
+    expect(revalidated.status).toEqual(304);
+  });
+
   it('redirects the user back to the client app', async () => {
     const config = {
       maxRedirects: 0,
@@ -239,4 +252,170 @@ describe('OpenID Connect Conformance', () => {
       token_type: 'Bearer',
     });
   });
+
+  it('revokes refresh tokens', async () => {
+    const resp = await axios.post(
+      'http://localhost:9090/testServer/revoke',
+      qs.stringify({ token: 'jkl456', token_type_hint: 'refresh_token' }),
+      {
+          auth: { username: 'clientId123', password: 'secretXyz' }
+      }
+    );
+
+    expect(resp.status).toEqual(200);
+    expect(await stateStore.getByRefreshToken('jkl456')).toBeUndefined();
+  });
+
+  it('sends the user on to the upstream end session endpoint', async () => {
+    const resp = await axios.get('http://localhost:9090/testServer/logout', {
+      maxRedirects: 0,
+      validateStatus: function(status) {
+        return status < 500;
+      },
+      params: {
+        client_id: 'clientId123',
+        post_logout_redirect_uri: 'http://localhost:8080/logged-out',
+      }
+    });
+    expect(resp.status).toEqual(302);
+    expect(resp.headers.location).toMatch(new RegExp(`^${upstreamOAuthTestServer.baseUrl()}/logout\\?`));
+  });
+});
+
+describe('Multiple upstream issuers', () => {
+  const MULTI_UPSTREAM_PORT = 9092;
+  const multiUpstreamServer = buildBackgroundServerModule("oauth-proxy multi upstream test app");
+  const baseConfig = { ...defaultTestingConfig, host: `http://localhost:${MULTI_UPSTREAM_PORT}` };
+
+  beforeAll(async () => {
+    // Each app registers its HTTP metrics with the default registry, which
+    // the app for the conformance tests above already did.
+    promClient.register.clear();
+    const issuer = await Issuer.discover(upstreamOAuthTestServer.baseUrl());
+    const oktaClient = buildFakeOktaClient({ client_id: 'clientId123', status: 'ACTIVE', settings: { oauthClient: { redirect_uris: [] } } });
+    const upstreams = ['/health', '/benefits'].map((well_known_base_path) => ({
+      config: {
+        ...baseConfig,
+        well_known_base_path,
+        enrich_introspection: well_known_base_path === '/benefits',
+        augment_userinfo: well_known_base_path === '/benefits',
+        enable_pkce_authorization_flow: well_known_base_path === '/health',
+        client_credentials_scopes: well_known_base_path === '/benefits' ? { clientId123: ['claims.read'] } : undefined,
+        token_exchange_policy: well_known_base_path === '/benefits' ? { clientId123: {} } : undefined,
+      },
+      issuer,
+      stateStore: new MemoryStateStore(),
+      validateToken: async () => ({ va_identifiers: { icn: '1013062086V794840' } }),
+    }));
+    upstreams.push({
+      config: { ...baseConfig, well_known_base_path: '/verification' },
+      upstreamIssuer: { issuer: undefined },
+      stateStore: new MemoryStateStore(),
+      validateToken: () => ({}),
+    });
+    const app = buildMultiUpstreamApp(baseConfig, oktaClient, upstreams);
+    multiUpstreamServer.startServerInBackground(app, MULTI_UPSTREAM_PORT);
+  });
+
+  afterAll(() => {
+    multiUpstreamServer.stopBackgroundServer();
+  });
+
+  it('rewrites the metadata of each upstream to its own base path', async () => {
+    for (const basePath of ['/health', '/benefits']) {
+      const resp = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}${basePath}/.well-known/openid-configuration`);
+      expect(resp.data).toMatchObject({
+        authorization_endpoint: `http://localhost:${MULTI_UPSTREAM_PORT}${basePath}/authorization`,
+        token_endpoint: `http://localhost:${MULTI_UPSTREAM_PORT}${basePath}/token`,
+      });
+    }
+  });
+
+  it('advertises public clients only for upstreams with PKCE enabled', async () => {
+    const health = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/health/.well-known/smart-configuration`);
+    expect(health.data.capabilities).toContain('client-public');
+    expect(health.data.token_endpoint_auth_methods_supported).toContain('none');
+    const benefits = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/benefits/.well-known/smart-configuration`);
+    expect(benefits.data.capabilities).not.toContain('client-public');
+    expect(benefits.data.token_endpoint_auth_methods_supported).not.toContain('none');
+  });
+
+  it('advertises only the grant types the config of each upstream supports', async () => {
+    const health = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/health/.well-known/openid-configuration`);
+    expect(health.data.grant_types_supported).toEqual([
+      'authorization_code',
+      'refresh_token',
+      'urn:ietf:params:oauth:grant-type:device_code',
+    ]);
+    const benefits = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/benefits/.well-known/openid-configuration`);
+    expect(benefits.data.grant_types_supported).toEqual([
+      'authorization_code',
+      'refresh_token',
+      'client_credentials',
+      'urn:ietf:params:oauth:grant-type:token-exchange',
+    ]);
+  });
+
+  it('adds va_identifiers to introspection responses when enabled', async () => {
+    const resp = await axios.post(
+      `http://localhost:${MULTI_UPSTREAM_PORT}/benefits/introspect`,
+      qs.stringify({ token: 'an-access-token', token_type_hint: 'access_token' }),
+      { auth: { username: 'clientId123', password: 'secretXyz' } }
+    );
+    expect(resp.status).toEqual(200);
+    expect(resp.data).toMatchObject({
+      active: true,
+      client_id: expect.any(String),
+      va_identifiers: { icn: '1013062086V794840' },
+    });
+  });
+
+  it('passes introspection responses through when enrichment is off', async () => {
+    const resp = await axios.post(
+      `http://localhost:${MULTI_UPSTREAM_PORT}/health/introspect`,
+      qs.stringify({ token: 'an-access-token' }),
+      { auth: { username: 'clientId123', password: 'secretXyz' } }
+    );
+    expect(resp.data.active).toBe(true);
+    expect(resp.data.va_identifiers).toBeUndefined();
+  });
+
+  it('adds the patient and fhirUser to userinfo and filters claims by scope when enabled', async () => {
+    const payload = {
+      scp: ['openid', 'profile', 'launch/patient', 'fhirUser'],
+      exp: Math.floor(Date.now() / 1000) + 3600,
+    };
+    const access_token = [{ alg: 'none' }, payload]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString('base64').replace(/=+$/, ''))
+      .concat('signature')
+      .join('.');
+    const resp = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/benefits/userinfo`, {
+      headers: { authorization: `Bearer ${access_token}` },
+    });
+
+    expect(resp.status).toEqual(200);
+    expect(resp.data).toMatchObject({
+      sub: '00uid4BxXw6I6TV4m0g3',
+      name: 'John Doe',
+      patient: '1013062086V794840',
+      fhirUser: 'Patient/1013062086V794840',
+    });
+    expect(resp.data.email).toBeUndefined();
+    expect(resp.data.address).toBeUndefined();
+  });
+
+  it('responds with a 503 for upstreams that have not been discovered', async () => {
+    const resp = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/verification/.well-known/openid-configuration`, {
+      validateStatus: () => true,
+    });
+    expect(resp.status).toEqual(503);
+    expect(resp.data.error).toEqual('temporarily_unavailable');
+  });
+
+  it('does not serve the other base paths', async () => {
+    const resp = await axios.get(`http://localhost:${MULTI_UPSTREAM_PORT}/testServer/.well-known/openid-configuration`, {
+      validateStatus: () => true,
+    });
+    expect(resp.status).toEqual(404);
+  });
 });
@@ -0,0 +1,120 @@
+'use strict';
+
+require('jest');
+jest.mock('axios');
+const axios = require('axios');
+
+const { JwksCache } = require('../jwksCache');
+
+const JWKS_URI = 'https://example.okta.com/oauth2/default/v1/keys';
+
+function jwksResponse(kids, headers = {}) {
+  return { data: { keys: kids.map((kid) => ({ kid, kty: 'RSA' })) }, headers };
+}
+
+describe('JwksCache', () => {
+  let logger;
+  let cache;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    axios.get.mockReset();
+    logger = { error: jest.fn() };
+    cache = new JwksCache({ metadata: { jwks_uri: JWKS_URI } }, logger, {
+      defaultMaxAgeSeconds: 300,
+      unknownKidRefreshIntervalSeconds: 60,
+    });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  it('fetches the JWKS once while it is fresh', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1']));
+
+    const first = await cache.get();
+    now += 299000;
+    const second = await cache.get();
+
+    expect(second).toBe(first);
+    expect(first.jwks.keys[0].kid).toEqual('key1');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get).toHaveBeenCalledWith(JWKS_URI);
+  });
+
+  it('fetches the JWKS again once it expires', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1']));
+    await cache.get();
+    now += 300000;
+    await cache.get();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('honors the upstream max-age', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1'], { 'cache-control': 'public, max-age=30', age: '10' }));
+    const entry = await cache.get();
+    expect(entry.expiresAt).toEqual(now + 20000);
+  });
+
+  it('does not cache when the upstream forbids it', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1'], { 'cache-control': 'no-cache' }));
+    await cache.get();
+    await cache.get();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('changes the ETag when the keys change', async () => {
+    axios.get.mockResolvedValueOnce(jwksResponse(['key1'], { 'cache-control': 'no-store' }));
+    axios.get.mockResolvedValueOnce(jwksResponse(['key1'], { 'cache-control': 'no-store' }));
+    axios.get.mockResolvedValueOnce(jwksResponse(['key2'], { 'cache-control': 'no-store' }));
+
+    const first = await cache.get();
+    const second = await cache.get();
+    const third = await cache.get();
+    expect(second.etag).toEqual(first.etag);
+    expect(third.etag).not.toEqual(first.etag);
+  });
+
+  it('refreshes when an unknown kid is requested', async () => {
+    axios.get.mockResolvedValueOnce(jwksResponse(['key1']));
+    axios.get.mockResolvedValueOnce(jwksResponse(['key1', 'key2']));
+    await cache.get();
+    now += 60000;
+
+    const entry = await cache.get('key2');
+    expect(entry.jwks.keys.map((key) => key.kid)).toEqual(['key1', 'key2']);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('limits refreshes for unknown kids', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1']));
+    await cache.get();
+    now += 59000;
+    await cache.get('key2');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves the cached JWKS when a refresh fails', async () => {
+    axios.get.mockResolvedValueOnce(jwksResponse(['key1']));
+    axios.get.mockRejectedValueOnce(new Error('socket hang up'));
+    const first = await cache.get();
+    now += 300000;
+
+    expect(await cache.get()).toBe(first);
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  it('rejects when there is no JWKS to serve', async () => {
+    axios.get.mockRejectedValue(new Error('socket hang up'));
+    await expect(cache.get()).rejects.toThrow('socket hang up');
+  });
+
+  it('shares concurrent fetches', async () => {
+    axios.get.mockResolvedValue(jwksResponse(['key1']));
+    await Promise.all([cache.get(), cache.get()]);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
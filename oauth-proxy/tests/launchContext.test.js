@@ -0,0 +1,102 @@
+'use strict';
+
+require('jest');
+
+const { resolveLaunchContext } = require('../oauthHandlers/launchContext');
+
+const validation = {
+  va_identifiers: { icn: '0000000000000' },
+  launch: { encounter: 'enc123' },
+};
+
+describe('resolveLaunchContext', () => {
+  let validateToken;
+
+  beforeEach(() => {
+    validateToken = jest.fn().mockResolvedValue(validation);
+  });
+
+  it('adds nothing without launch scopes', async () => {
+    expect(await resolveLaunchContext({}, ['openid', 'profile'], 'token', validateToken)).toEqual({});
+    expect(validateToken).not.toHaveBeenCalled();
+  });
+
+  it('adds the patient for launch/patient', async () => {
+    expect(await resolveLaunchContext({}, ['launch/patient'], 'token', validateToken)).toEqual({
+      patient: '0000000000000',
+      need_patient_banner: true,
+    });
+    expect(validateToken).toHaveBeenCalledWith('token');
+  });
+
+  it('adds the encounter for launch/encounter', async () => {
+    expect(await resolveLaunchContext({}, ['launch/encounter'], 'token', validateToken)).toEqual({
+      encounter: 'enc123',
+    });
+  });
+
+  it('leaves out context the validation API does not provide', async () => {
+    validateToken = jest.fn().mockResolvedValue({ va_identifiers: {} });
+    expect(await resolveLaunchContext({}, ['launch/encounter', 'fhirUser'], 'token', validateToken)).toEqual({});
+  });
+
+  it('adds fhirUser relative to the configured FHIR server', async () => {
+    expect(await resolveLaunchContext({}, ['fhirUser'], 'token', validateToken)).toEqual({
+      fhirUser: 'Patient/0000000000000',
+    });
+    const config = { fhir_base_url: 'https://sandbox-api.va.gov/services/fhir/v0/r4' };
+    expect(await resolveLaunchContext(config, ['fhirUser'], 'token', validateToken)).toEqual({
+      fhirUser: 'https://sandbox-api.va.gov/services/fhir/v0/r4/Patient/0000000000000',
+    });
+  });
+
+  it('adds the configured style URL for launches', async () => {
+    const config = { smart_style_url: 'https://example.com/smart-style.json' };
+    expect(await resolveLaunchContext(config, ['launch'], 'token', validateToken)).toEqual({
+      smart_style_url: 'https://example.com/smart-style.json',
+    });
+    expect(validateToken).not.toHaveBeenCalled();
+  });
+
+  it('calls the validation API once', async () => {
+    await resolveLaunchContext({}, ['launch/patient', 'launch/encounter', 'fhirUser'], 'token', validateToken);
+    expect(validateToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes validation API errors on', async () => {
+    validateToken = jest.fn().mockRejectedValue(new Error('unauthorized'));
+    await expect(resolveLaunchContext({}, ['launch/patient'], 'token', validateToken)).rejects.toThrow('unauthorized');
+  });
+
+  it('leaves out optional context when the validation API fails', async () => {
+    validateToken = jest.fn().mockRejectedValue(new Error('unauthorized'));
+    const config = { smart_style_url: 'https://example.com/smart-style.json' };
+    expect(await resolveLaunchContext(config, ['launch/encounter', 'fhirUser'], 'token', validateToken)).toEqual({
+      smart_style_url: 'https://example.com/smart-style.json',
+    });
+  });
+
+  it('only fails for required fields whose resolver fails', async () => {
+    const failing = {
+      field: 'intent',
+      appliesTo: () => true,
+      usesValidation: true,
+      resolve: () => { throw new Error('no intent'); },
+    };
+    expect(await resolveLaunchContext({}, ['launch'], 'token', validateToken, [failing])).toEqual({});
+    await expect(resolveLaunchContext({}, ['launch'], 'token', validateToken, [{ ...failing, required: true }]))
+      .rejects.toThrow('no intent');
+  });
+
+  it('uses the given resolvers', async () => {
+    const resolvers = [{
+      field: 'intent',
+      appliesTo: (scopes) => scopes.indexOf('launch') > -1,
+      usesValidation: false,
+      resolve: () => 'reconcile-medications',
+    }];
+    expect(await resolveLaunchContext({}, ['launch'], 'token', validateToken, resolvers)).toEqual({
+      intent: 'reconcile-medications',
+    });
+  });
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+require('jest');
+
+const { verifyCodeVerifier } = require('../oauthHandlers/pkce');
+
+// From https://tools.ietf.org/html/rfc7636#appendix-B
+const code_verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+const code_challenge = 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM';
+
+describe('verifyCodeVerifier', () => {
+  it('verifies S256 challenges', () => {
+    expect(verifyCodeVerifier(code_verifier, code_challenge, 'S256')).toBe(true);
+    expect(verifyCodeVerifier(code_verifier.replace('d', 'e'), code_challenge, 'S256')).toBe(false);
+  });
+
+  it('verifies plain challenges', () => {
+    expect(verifyCodeVerifier(code_verifier, code_verifier, 'plain')).toBe(true);
+    expect(verifyCodeVerifier(code_verifier, code_challenge, 'plain')).toBe(false);
+  });
+
+  it('rejects malformed code verifiers', () => {
+    expect(verifyCodeVerifier('too-short', 'too-short', 'plain')).toBe(false);
+    expect(verifyCodeVerifier(`${code_verifier}!`, `${code_verifier}!`, 'plain')).toBe(false);
+    expect(verifyCodeVerifier(undefined, code_challenge, 'S256')).toBe(false);
+  });
+});
@@ -0,0 +1,289 @@
+'use strict';
+
+require('jest');
+const MockExpressRequest = require('mock-express-request');
+const MockExpressResponse = require('mock-express-response');
+const timekeeper = require('timekeeper');
+
+const {
+  clientRateLimitMiddleware,
+  rateLimitMiddleware,
+  DynamoRateLimitStore,
+  MemoryRateLimitStore,
+} = require('../rateLimit');
+const { rateLimitedCounter } = require('../metrics');
+const { encodeBasicAuthHeader } = require('../utils');
+const { convertObjectToDynamoAttributeValues } = require('./testUtils');
+
+const now = new Date('2020-01-01T00:00:00Z');
+const nowInSeconds = now.getTime() / 1000;
+
+function secondsLater(seconds) {
+  return new Date(now.getTime() + seconds * 1000);
+}
+
+function limitedCount(endpoint, limit) {
+  const metric = rateLimitedCounter.get().values
+    .find((value) => value.labels.endpoint === endpoint && value.labels.limit === limit);
+  return metric ? metric.value : 0;
+}
+
+describe('MemoryRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    store = new MemoryRateLimitStore();
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('allows bursts up to the capacity', async () => {
+    expect(await store.take('key', 2, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    expect(await store.take('key', 2, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    expect(await store.take('key', 2, 1)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(await store.take('other', 2, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+  });
+
+  it('refills buckets over time', async () => {
+    await store.take('key', 1, 0.1);
+    expect(await store.take('key', 1, 0.1)).toEqual({ allowed: false, retryAfterSeconds: 10 });
+    timekeeper.freeze(secondsLater(5));
+    expect(await store.take('key', 1, 0.1)).toEqual({ allowed: false, retryAfterSeconds: 5 });
+    timekeeper.freeze(secondsLater(10));
+    expect((await store.take('key', 1, 0.1)).allowed).toBe(true);
+  });
+
+  it('checks buckets without taking a token', async () => {
+    expect(await store.check('key', 1, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    await store.take('key', 1, 1);
+    expect(await store.check('key', 1, 1)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(await store.check('key', 1, 1)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+  });
+
+  it('sweeps buckets that have filled up again', async () => {
+    await store.take('key', 1, 1);
+    timekeeper.freeze(secondsLater(60));
+    await store.take('other', 1, 1);
+    expect([...store.buckets.keys()]).toEqual(['other']);
+  });
+});
+
+describe('DynamoRateLimitStore', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    client = {
+      getItem: jest.fn((params, callback) => callback(null, {})),
+      putItem: jest.fn((params, callback) => callback(null, {})),
+    };
+    store = new DynamoRateLimitStore(client, 'OAuthRequests');
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('creates new buckets', async () => {
+    expect(await store.take('token:ip:127.0.0.1', 60, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    expect(client.getItem).toHaveBeenCalledWith(expect.objectContaining({
+      ConsistentRead: true,
+      Key: { state: { S: 'rate_limit:token:ip:127.0.0.1' } },
+    }), expect.any(Function));
+    expect(client.putItem).toHaveBeenCalledWith(expect.objectContaining({
+      Item: convertObjectToDynamoAttributeValues({
+        state: 'rate_limit:token:ip:127.0.0.1',
+        tokens: 59,
+        updated_at: nowInSeconds,
+        expires_on: nowInSeconds + 1,
+      }),
+      ConditionExpression: 'attribute_not_exists(#state)',
+      TableName: 'OAuthRequests',
+    }), expect.any(Function));
+  });
+
+  it('updates buckets unless another process did first', async () => {
+    client.getItem = jest.fn((params, callback) => callback(null, {
+      Item: convertObjectToDynamoAttributeValues({ state: 'rate_limit:key', tokens: 0, updated_at: nowInSeconds - 1 }),
+    }));
+    expect(await store.take('key', 60, 1)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    expect(client.putItem).toHaveBeenCalledWith(expect.objectContaining({
+      ConditionExpression: 'updated_at = :previous',
+      ExpressionAttributeValues: { ':previous': { N: String(nowInSeconds - 1) } },
+    }), expect.any(Function));
+  });
+
+  it('retries conflicting updates and then treats the bucket as empty', async () => {
+    const conflict = Object.assign(new Error('conflict'), { code: 'ConditionalCheckFailedException' });
+    client.putItem = jest.fn((params, callback) => callback(conflict));
+    expect(await store.take('key', 60, 1)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(client.putItem).toHaveBeenCalledTimes(3);
+  });
+
+  it('checks buckets without updating them', async () => {
+    client.getItem = jest.fn((params, callback) => callback(null, {
+      Item: convertObjectToDynamoAttributeValues({ state: 'rate_limit:key', tokens: 0, updated_at: nowInSeconds }),
+    }));
+    expect(await store.check('key', 60, 1)).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    expect(client.getItem).toHaveBeenCalledWith(expect.objectContaining({ ConsistentRead: true }), expect.any(Function));
+    expect(client.putItem).not.toHaveBeenCalled();
+  });
+
+  it('rejects with other DynamoDB errors', async () => {
+    client.putItem = jest.fn((params, callback) => callback(new Error('throttled')));
+    await expect(store.take('key', 60, 1)).rejects.toThrow('throttled');
+  });
+});
+
+describe('rateLimitMiddleware', () => {
+  const config = { rate_limit_per_client: 2, rate_limit_per_ip: 3 };
+  let logger;
+  let store;
+  let next;
+
+  const tokenRequest = (client_id, ip) => {
+    const req = new MockExpressRequest({
+      method: 'POST',
+      headers: { authorization: encodeBasicAuthHeader(client_id, 'secret') },
+      body: {},
+    });
+    Object.defineProperty(req, 'ip', { value: ip });
+    return req;
+  };
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    rateLimitedCounter.reset();
+    logger = { error: jest.fn(), warn: jest.fn() };
+    store = new MemoryRateLimitStore();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('limits requests per IP address', async () => {
+    const limit = rateLimitMiddleware(config, logger, store, 'token');
+    for (const client_id of ['a', 'b', 'c']) {
+      await limit(tokenRequest(client_id, '10.0.0.1'), new MockExpressResponse(), next);
+    }
+    const res = new MockExpressResponse();
+    await limit(tokenRequest('d', '10.0.0.1'), res, next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(res.statusCode).toEqual(429);
+    expect(limitedCount('token', 'ip')).toEqual(1);
+  });
+
+  it('shows an error page to browsers', async () => {
+    const limit = rateLimitMiddleware({ rate_limit_per_ip: 1 }, logger, store, 'authorize');
+    const authorizeRequest = () => {
+      const req = new MockExpressRequest({ method: 'GET', query: { client_id: 'client123' } });
+      Object.defineProperty(req, 'ip', { value: '10.0.0.1' });
+      return req;
+    };
+    await limit(authorizeRequest(), new MockExpressResponse(), next);
+    const res = new MockExpressResponse();
+    await limit(authorizeRequest(), res, next);
+
+    expect(res.statusCode).toEqual(429);
+    expect(res.get('Retry-After')).toEqual('60');
+    expect(res._getString()).toMatch('temporarily_unavailable');
+  });
+
+  it('does nothing without limits', async () => {
+    store.take = jest.fn();
+    await rateLimitMiddleware({}, logger, store, 'token')(tokenRequest('client123', '10.0.0.1'), new MockExpressResponse(), next);
+    expect(store.take).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('lets requests through when the store fails', async () => {
+    store.take = jest.fn().mockRejectedValue(new Error('throttled'));
+    await rateLimitMiddleware(config, logger, store, 'token')(tokenRequest('client123', '10.0.0.1'), new MockExpressResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
+
+describe('clientRateLimitMiddleware', () => {
+  const config = { rate_limit_per_client: 2 };
+  let logger;
+  let store;
+  let next;
+
+  const tokenRequest = (client_id) => new MockExpressRequest({
+    method: 'POST',
+    headers: { authorization: encodeBasicAuthHeader(client_id, 'secret') },
+    body: {},
+  });
+
+  // Runs a token request through the middleware and answers it with status,
+  // as the token handler would have, once the middleware lets it through.
+  const handle = async (limit, req, status) => {
+    const res = new MockExpressResponse();
+    const finished = new Promise((resolve) => res.on('finish', resolve));
+    await limit(req, res, () => {
+      next();
+      res.status(status).json({});
+    });
+    await finished;
+    return res;
+  };
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    rateLimitedCounter.reset();
+    logger = { error: jest.fn(), warn: jest.fn() };
+    store = new MemoryRateLimitStore();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('limits the authenticated requests of each client', async () => {
+    const limit = clientRateLimitMiddleware(config, logger, store, 'token');
+    await handle(limit, tokenRequest('client123'), 200);
+    await handle(limit, tokenRequest('client123'), 400);
+    const res = await handle(limit, tokenRequest('client123'), 200);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.statusCode).toEqual(429);
+    expect(res.get('Retry-After')).toEqual('30');
+    expect(res._getJSON().error).toEqual('temporarily_unavailable');
+    expect(limitedCount('token', 'client')).toEqual(1);
+  });
+
+  it('does not count requests that fail client authentication', async () => {
+    const limit = clientRateLimitMiddleware(config, logger, store, 'token');
+    for (let i = 0; i < 5; i++) {
+      await handle(limit, tokenRequest('client123'), 401);
+    }
+    const res = await handle(limit, tokenRequest('client123'), 200);
+
+    expect(next).toHaveBeenCalledTimes(6);
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('does nothing without a limit or client_id', async () => {
+    store.check = jest.fn();
+    await handle(clientRateLimitMiddleware({}, logger, store, 'token'), tokenRequest('client123'), 200);
+    await handle(clientRateLimitMiddleware(config, logger, store, 'token'), new MockExpressRequest({ method: 'POST', body: {} }), 200);
+    expect(store.check).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    store.check = jest.fn().mockRejectedValue(new Error('throttled'));
+    await handle(clientRateLimitMiddleware(config, logger, store, 'token'), tokenRequest('client123'), 200);
+    expect(next).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
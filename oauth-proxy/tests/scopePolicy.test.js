@@ -0,0 +1,76 @@
+'use strict';
+
+require('jest');
+
+const { applyScopePolicy, validateScopePolicy } = require('../oauthHandlers/scopePolicy');
+
+const policy = {
+  default: { denied: ['launch/patient'] },
+  public_clients: { denied: ['offline_access'] },
+  clients: {
+    smartClient: { allowed: ['openid', 'launch/patient', 'patient/Patient.read', 'offline_access'], on_disallowed: 'reject' },
+  },
+};
+
+const confidential = (client_id) => ({ client_id, token_endpoint_auth_method: 'client_secret_basic' });
+const pub = (client_id) => ({ client_id, token_endpoint_auth_method: 'none' });
+
+describe('applyScopePolicy', () => {
+  it('holds unlisted clients to the default rule', () => {
+    expect(applyScopePolicy(policy, confidential('otherClient'), 'openid launch/patient offline_access')).toEqual({
+      scopes: ['openid', 'offline_access'],
+      disallowed: ['launch/patient'],
+      reject: false,
+    });
+  });
+
+  it('holds listed clients to their own rule', () => {
+    expect(applyScopePolicy(policy, confidential('smartClient'), 'openid launch/patient')).toEqual({
+      scopes: ['openid', 'launch/patient'],
+      disallowed: [],
+      reject: false,
+    });
+    expect(applyScopePolicy(policy, confidential('smartClient'), 'openid profile')).toEqual({
+      scopes: ['openid'],
+      disallowed: ['profile'],
+      reject: true,
+    });
+  });
+
+  it('also holds public clients to the public_clients rule', () => {
+    expect(applyScopePolicy(policy, pub('smartClient'), 'openid offline_access').disallowed).toEqual(['offline_access']);
+    expect(applyScopePolicy(policy, pub('otherClient'), 'openid offline_access').scopes).toEqual(['openid']);
+  });
+
+  it('rejects requests left without scopes', () => {
+    expect(applyScopePolicy(policy, confidential('otherClient'), 'launch/patient').reject).toBe(true);
+    expect(applyScopePolicy(policy, confidential('otherClient'), undefined)).toEqual({
+      scopes: [],
+      disallowed: [],
+      reject: true,
+    });
+  });
+
+  it('allows everything without rules', () => {
+    expect(applyScopePolicy({}, pub('otherClient'), 'openid offline_access')).toEqual({
+      scopes: ['openid', 'offline_access'],
+      disallowed: [],
+      reject: false,
+    });
+  });
+});
+
+describe('validateScopePolicy', () => {
+  it('accepts valid policies', () => {
+    expect(validateScopePolicy(policy)).toBe(policy);
+  });
+
+  it('rejects rules with scope lists that are not lists', () => {
+    expect(() => validateScopePolicy({ clients: { smartClient: { allowed: 'openid' } } }))
+      .toThrow('clients.smartClient.allowed of the scope policy must be a list of scopes');
+  });
+
+  it('rejects unknown on_disallowed values', () => {
+    expect(() => validateScopePolicy({ on_disallowed: 'ignore' })).toThrow('on_disallowed');
+  });
+});
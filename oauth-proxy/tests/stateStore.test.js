@@ -0,0 +1,328 @@
+'use strict';
+
+require('jest');
+const timekeeper = require('timekeeper');
+
+const { createStateStore, DynamoStateStore, MemoryStateStore } = require('../stateStore');
+const { convertObjectToDynamoAttributeValues } = require('./testUtils');
+
+const fakeRecord = {
+  state: 'abc123',
+  redirect_uri: 'http://localhost:8080/oauth/redirect',
+  code: 'xyz789',
+  refresh_token: 'jkl456',
+};
+
+// Stands in for the aws-sdk DynamoDB client. Every call answers with the
+// fake record and is recorded for inspection.
+function buildFakeDynamoClient(record) {
+  const respond = (data) => jest.fn((params, callback) => callback(null, data));
+  return {
+    getItem: respond({ Item: convertObjectToDynamoAttributeValues(record) }),
+    query: respond({ Items: [convertObjectToDynamoAttributeValues(record)] }),
+    updateItem: respond({ Attributes: convertObjectToDynamoAttributeValues(record) }),
+    putItem: respond({}),
+    deleteItem: respond({}),
+  };
+}
+
+describe('createStateStore', () => {
+  it('creates a memory store', () => {
+    expect(createStateStore({ state_store: 'memory' })).toBeInstanceOf(MemoryStateStore);
+  });
+
+  it('creates a DynamoDB store by default', () => {
+    const stateStore = createStateStore({
+      aws_region: 'us-west-2',
+      aws_id: null,
+      aws_secret: null,
+      dynamo_local: 'localhost:8000',
+      dynamo_table_name: 'OAuthRequests',
+    });
+    expect(stateStore).toBeInstanceOf(DynamoStateStore);
+    expect(stateStore.tableName).toEqual('OAuthRequests');
+  });
+});
+
+describe('MemoryStateStore', () => {
+  let stateStore;
+
+  beforeEach(async () => {
+    stateStore = new MemoryStateStore();
+    await stateStore.saveRedirectUri(fakeRecord.state, fakeRecord.redirect_uri);
+  });
+
+  it('merges saved attributes into the record', async () => {
+    await stateStore.saveCode(fakeRecord.state, fakeRecord.code);
+    await stateStore.saveRefreshToken(fakeRecord.state, fakeRecord.refresh_token);
+    expect(await stateStore.getByState(fakeRecord.state)).toEqual({
+      ...fakeRecord,
+      expires_on: expect.any(Number),
+    });
+  });
+
+  it('looks up records by code and refresh token', async () => {
+    await stateStore.save(fakeRecord.state, { code: fakeRecord.code, refresh_token: fakeRecord.refresh_token });
+    expect(await stateStore.getByCode(fakeRecord.code)).toMatchObject(fakeRecord);
+    expect(await stateStore.getByRefreshToken(fakeRecord.refresh_token)).toMatchObject(fakeRecord);
+  });
+
+  it('resolves undefined for unknown records', async () => {
+    expect(await stateStore.getByState('unknown')).toBeUndefined();
+    expect(await stateStore.getByCode('unknown')).toBeUndefined();
+    expect(await stateStore.getByRefreshToken('unknown')).toBeUndefined();
+  });
+
+  it('removes records by refresh token', async () => {
+    await stateStore.saveRefreshToken(fakeRecord.state, fakeRecord.refresh_token);
+    expect(await stateStore.removeByRefreshToken(fakeRecord.refresh_token)).toMatchObject({ state: fakeRecord.state });
+    expect(await stateStore.getByState(fakeRecord.state)).toBeUndefined();
+    expect(await stateStore.removeByRefreshToken(fakeRecord.refresh_token)).toBeUndefined();
+  });
+
+  it('traces superseded refresh tokens back to their state', async () => {
+    await stateStore.saveSupersededRefreshToken(fakeRecord.state, 'old_refresh_token');
+    expect(await stateStore.getStateOfSupersededRefreshToken('old_refresh_token')).toEqual(fakeRecord.state);
+    expect(await stateStore.getStateOfSupersededRefreshToken(fakeRecord.refresh_token)).toBeUndefined();
+    expect(JSON.stringify([...stateStore.records.values()])).not.toContain('old_refresh_token');
+  });
+
+  it('uses pushed authorization requests once', async () => {
+    await stateStore.savePushedAuthorizationRequest('urn:example', { state: 'xyz', client_id: 'client123' }, 60);
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client123')).toEqual({ state: 'xyz', client_id: 'client123' });
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client123')).toBeUndefined();
+  });
+
+  it('hands out a pushed authorization request to only one of concurrent uses', async () => {
+    await stateStore.savePushedAuthorizationRequest('urn:example', { state: 'xyz', client_id: 'client123' }, 60);
+    const results = await Promise.all([
+      stateStore.takePushedAuthorizationRequest('urn:example', 'client123'),
+      stateStore.takePushedAuthorizationRequest('urn:example', 'client123'),
+    ]);
+    expect(results.filter((params) => params !== undefined)).toHaveLength(1);
+  });
+
+  it('keeps pushed authorization requests taken by another client', async () => {
+    await stateStore.savePushedAuthorizationRequest('urn:example', { state: 'xyz', client_id: 'client123' }, 60);
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client456')).toBeUndefined();
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client123')).toEqual({ state: 'xyz', client_id: 'client123' });
+  });
+
+  it('accepts each client assertion jti once until it expires', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    expect(await stateStore.useClientAssertion('client123', 'jti-1', exp)).toBe(true);
+    expect(await stateStore.useClientAssertion('client123', 'jti-1', exp)).toBe(false);
+    expect(await stateStore.useClientAssertion('client456', 'jti-1', exp)).toBe(true);
+  });
+
+  it('accepts only one of concurrent uses of a client assertion', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const results = await Promise.all([
+      stateStore.useClientAssertion('client123', 'jti-1', exp),
+      stateStore.useClientAssertion('client123', 'jti-1', exp),
+    ]);
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  it('finds device authorizations by device_code and user_code', async () => {
+    const device_id = await stateStore.saveDeviceAuthorization('the_device_code', 'WDJBMJHT', { client_id: 'client123', status: 'pending' }, 60);
+    expect(await stateStore.getDeviceAuthorizationByUserCode('WDJBMJHT')).toMatchObject({ device_id, client_id: 'client123' });
+    await stateStore.updateDeviceAuthorization(device_id, { status: 'approved' });
+    const record = await stateStore.getDeviceAuthorizationByDeviceCode('the_device_code');
+    expect(record).toMatchObject({ device_id, user_code: 'WDJBMJHT', status: 'approved' });
+    expect(JSON.stringify([...stateStore.records.values()])).not.toContain('the_device_code');
+
+    await stateStore.removeDeviceAuthorization(record);
+    expect(await stateStore.getDeviceAuthorizationByDeviceCode('the_device_code')).toBeUndefined();
+    expect(await stateStore.getDeviceAuthorizationByUserCode('WDJBMJHT')).toBeUndefined();
+  });
+
+  it('hands an approved device authorization to only one of concurrent collections', async () => {
+    const device_id = await stateStore.saveDeviceAuthorization('the_device_code', 'WDJBMJHT', { client_id: 'client123', status: 'pending' }, 60);
+    expect(await stateStore.collectDeviceAuthorization(device_id)).toBeUndefined();
+
+    await stateStore.updateDeviceAuthorization(device_id, { status: 'approved', tokens: { access_token: 'e30.e30.' } });
+    const results = await Promise.all([
+      stateStore.collectDeviceAuthorization(device_id),
+      stateStore.collectDeviceAuthorization(device_id),
+    ]);
+    expect(results.filter((record) => record !== undefined)).toEqual([
+      expect.objectContaining({ status: 'collected', tokens: { access_token: 'e30.e30.' } }),
+    ]);
+  });
+
+  it('returns copies of the stored records', async () => {
+    const record = await stateStore.getByState(fakeRecord.state);
+    record.redirect_uri = 'http://evil.example.com';
+    expect((await stateStore.getByState(fakeRecord.state)).redirect_uri).toEqual(fakeRecord.redirect_uri);
+  });
+});
+
+describe('record expiry', () => {
+  const now = new Date('2020-01-01T00:00:00Z');
+  const nowInSeconds = now.getTime() / 1000;
+  let stateStore;
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    stateStore = new MemoryStateStore({ codeLifetimeSeconds: 60, refreshTokenLifetimeSeconds: 3600 });
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('gives redirect_uri and code records a short lifetime', async () => {
+    expect((await stateStore.saveRedirectUri('abc123', fakeRecord.redirect_uri)).expires_on).toEqual(nowInSeconds + 60);
+    expect((await stateStore.saveCode('abc123', fakeRecord.code)).expires_on).toEqual(nowInSeconds + 60);
+  });
+
+  it('gives refresh_token records a long lifetime', async () => {
+    await stateStore.saveCode('abc123', fakeRecord.code);
+    expect((await stateStore.saveRefreshToken('abc123', fakeRecord.refresh_token)).expires_on).toEqual(nowInSeconds + 3600);
+  });
+
+  it('ignores expired records that have not been removed yet', async () => {
+    await stateStore.saveCode('abc123', fakeRecord.code);
+    timekeeper.freeze(new Date(now.getTime() + 60 * 1000));
+    expect(await stateStore.getByState('abc123')).toBeUndefined();
+    expect(await stateStore.getByCode(fakeRecord.code)).toBeUndefined();
+  });
+
+  it('keeps records until they expire', async () => {
+    await stateStore.saveRefreshToken('abc123', fakeRecord.refresh_token);
+    timekeeper.freeze(new Date(now.getTime() + 3599 * 1000));
+    expect(await stateStore.getByRefreshToken(fakeRecord.refresh_token)).toBeDefined();
+  });
+
+  it('uses default lifetimes', async () => {
+    stateStore = new MemoryStateStore();
+    expect((await stateStore.saveCode('abc123', fakeRecord.code)).expires_on).toEqual(nowInSeconds + 600);
+  });
+});
+
+describe('DynamoStateStore', () => {
+  let client;
+  let stateStore;
+
+  beforeEach(() => {
+    client = buildFakeDynamoClient(fakeRecord);
+    stateStore = new DynamoStateStore(client, 'OAuthRequests');
+  });
+
+  it('updates the attributes of the state record', async () => {
+    const record = await stateStore.save('abc123', { code: 'xyz789', refresh_token: 'jkl456' });
+    expect(record).toEqual(fakeRecord);
+    expect(client.updateItem).toHaveBeenCalledWith(expect.objectContaining({
+      Key: { state: { S: 'abc123' } },
+      UpdateExpression: 'SET #k0 = :v0, #k1 = :v1',
+      ExpressionAttributeNames: { '#k0': 'code', '#k1': 'refresh_token' },
+      ExpressionAttributeValues: { ':v0': { S: 'xyz789' }, ':v1': { S: 'jkl456' } },
+      TableName: 'OAuthRequests',
+    }), expect.any(Function));
+  });
+
+  it('collects device authorizations on the condition that they are approved', async () => {
+    await stateStore.collectDeviceAuthorization('the_device_id');
+    expect(client.updateItem).toHaveBeenCalledWith(expect.objectContaining({
+      Key: { state: { S: 'device_authorization:the_device_id' } },
+      ConditionExpression: 'attribute_exists(#state) AND #e0 = :e0',
+      UpdateExpression: 'SET #k0 = :v0',
+      ExpressionAttributeNames: { '#k0': 'status', '#state': 'state', '#e0': 'status' },
+      ExpressionAttributeValues: { ':v0': { S: 'collected' }, ':e0': { S: 'approved' } },
+    }), expect.any(Function));
+  });
+
+  it('resolves undefined when the condition of a conditional save fails', async () => {
+    client.updateItem = jest.fn((params, callback) => callback({ code: 'ConditionalCheckFailedException' }));
+    expect(await stateStore.collectDeviceAuthorization('the_device_id')).toBeUndefined();
+    client.updateItem = jest.fn((params, callback) => callback({ code: 'ProvisionedThroughputExceededException' }));
+    await expect(stateStore.collectDeviceAuthorization('the_device_id')).rejects.toEqual({ code: 'ProvisionedThroughputExceededException' });
+  });
+
+  it('gets records by state', async () => {
+    expect(await stateStore.getByState('abc123')).toEqual(fakeRecord);
+    expect(client.getItem).toHaveBeenCalledWith(expect.objectContaining({
+      Key: { state: { S: 'abc123' } },
+    }), expect.any(Function));
+  });
+
+  it('queries the secondary indexes', async () => {
+    expect(await stateStore.getByCode('xyz789')).toEqual(fakeRecord);
+    expect(client.query).toHaveBeenCalledWith(expect.objectContaining({
+      IndexName: 'oauth_code_index',
+    }), expect.any(Function));
+
+    expect(await stateStore.getByRefreshToken('jkl456')).toEqual(fakeRecord);
+    expect(client.query).toHaveBeenCalledWith(expect.objectContaining({
+      IndexName: 'oauth_refresh_token_index',
+    }), expect.any(Function));
+  });
+
+  it('deletes the state record holding a refresh token', async () => {
+    await stateStore.removeByRefreshToken('jkl456');
+    expect(client.deleteItem).toHaveBeenCalledWith(expect.objectContaining({
+      Key: { state: { S: 'abc123' } },
+      TableName: 'OAuthRequests',
+    }), expect.any(Function));
+  });
+
+  it('creates client assertion records on the condition that none exists', async () => {
+    expect(await stateStore.useClientAssertion('client123', 'jti-1', 1577836860)).toBe(true);
+    expect(client.putItem).toHaveBeenCalledWith(expect.objectContaining({
+      ConditionExpression: 'attribute_not_exists(#state) OR #expires_on <= :now',
+      Item: {
+        state: { S: 'client_assertion:client123:jti-1' },
+        expires_on: { N: '1577836860' },
+      },
+      TableName: 'OAuthRequests',
+    }), expect.any(Function));
+  });
+
+  it('rejects client assertions whose record already exists', async () => {
+    client.putItem = jest.fn((params, callback) => callback({ code: 'ConditionalCheckFailedException' }));
+    expect(await stateStore.useClientAssertion('client123', 'jti-1', 1577836860)).toBe(false);
+  });
+
+  it('deletes pushed authorization requests on the condition that the client matches', async () => {
+    client.deleteItem = jest.fn((params, callback) => callback(null, {
+      Attributes: convertObjectToDynamoAttributeValues({
+        state: 'pushed_authorization_request:urn:example',
+        client_id: 'client123',
+        params: { state: 'xyz' },
+      }),
+    }));
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client123')).toEqual({ state: 'xyz' });
+    expect(client.deleteItem).toHaveBeenCalledWith(expect.objectContaining({
+      ConditionExpression: 'attribute_exists(#state) AND #e0 = :e0',
+      ExpressionAttributeNames: { '#state': 'state', '#e0': 'client_id' },
+      ExpressionAttributeValues: { ':e0': { S: 'client123' } },
+      Key: { state: { S: 'pushed_authorization_request:urn:example' } },
+      ReturnValues: 'ALL_OLD',
+    }), expect.any(Function));
+  });
+
+  it('resolves undefined when the condition of a take fails', async () => {
+    client.deleteItem = jest.fn((params, callback) => callback({ code: 'ConditionalCheckFailedException' }));
+    expect(await stateStore.takePushedAuthorizationRequest('urn:example', 'client456')).toBeUndefined();
+  });
+
+  it('ignores expired records', async () => {
+    client = buildFakeDynamoClient({ ...fakeRecord, expires_on: Math.floor(Date.now() / 1000) - 1 });
+    stateStore = new DynamoStateStore(client, 'OAuthRequests');
+    expect(await stateStore.getByState('abc123')).toBeUndefined();
+    expect(await stateStore.getByRefreshToken('jkl456')).toBeUndefined();
+  });
+
+  it('resolves undefined when no record matches', async () => {
+    client.getItem = jest.fn((params, callback) => callback(null, {}));
+    client.query = jest.fn((params, callback) => callback(null, { Items: [] }));
+    expect(await stateStore.getByState('unknown')).toBeUndefined();
+    expect(await stateStore.getByCode('unknown')).toBeUndefined();
+  });
+
+  it('rejects with DynamoDB errors', async () => {
+    client.getItem = jest.fn((params, callback) => callback(new Error('throttled')));
+    await expect(stateStore.getByState('abc123')).rejects.toThrow('throttled');
+  });
+});
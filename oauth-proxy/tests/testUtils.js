@@ -1,3 +1,5 @@
+const { MemoryStateStore } = require('../stateStore');
+
 function buildDynamoAttributeValue(value) {
   // BEWARE: This doesn't work with number sets and a few other Dynamo types.
   if (value.constructor === String) {
@@ -22,7 +24,15 @@ function convertObjectToDynamoAttributeValues(obj) {
   }, {});
 }
 
+// Returns an in-memory state store seeded with a single record.
+async function buildFakeStateStore(record) {
+  const stateStore = new MemoryStateStore();
+  await stateStore.save(record.state, record);
+  return stateStore;
+}
+
 module.exports = {
+  buildFakeStateStore,
   buildDynamoAttributeValue,
   convertObjectToDynamoAttributeValues,
 };
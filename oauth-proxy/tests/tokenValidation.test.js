@@ -0,0 +1,73 @@
+'use strict';
+
+require('jest');
+const timekeeper = require('timekeeper');
+
+const { configureCachedTokenValidator } = require('../tokenValidation');
+
+describe('configureCachedTokenValidator', () => {
+  const now = new Date('2020-01-01T00:00:00Z');
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  let validateToken;
+  let validateCachedToken;
+
+  beforeEach(() => {
+    timekeeper.freeze(now);
+    validateToken = jest.fn().mockResolvedValue({ va_identifiers: { icn: '1013062086V794840' } });
+    validateCachedToken = configureCachedTokenValidator(validateToken);
+  });
+
+  afterEach(() => {
+    timekeeper.reset();
+  });
+
+  it('validates each token once until it expires', async () => {
+    await validateCachedToken('token1', nowSeconds + 60);
+    const validation = await validateCachedToken('token1', nowSeconds + 60);
+
+    expect(validation.va_identifiers.icn).toEqual('1013062086V794840');
+    expect(validateToken).toHaveBeenCalledTimes(1);
+    expect(validateToken).toHaveBeenCalledWith('token1');
+  });
+
+  it('validates the token again once it has expired', async () => {
+    await validateCachedToken('token1', nowSeconds + 60);
+    timekeeper.freeze(new Date(now.getTime() + 60000));
+    await validateCachedToken('token1', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the results of different tokens apart', async () => {
+    await validateCachedToken('token1', nowSeconds + 60);
+    await validateCachedToken('token2', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache tokens without an expiry', async () => {
+    await validateCachedToken('token1');
+    await validateCachedToken('token1');
+    expect(validateToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('evicts the least recently used token when full', async () => {
+    validateCachedToken = configureCachedTokenValidator(validateToken, { maxEntries: 2 });
+    await validateCachedToken('token1', nowSeconds + 60);
+    await validateCachedToken('token2', nowSeconds + 60);
+    await validateCachedToken('token1', nowSeconds + 60);
+    await validateCachedToken('token3', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(3);
+
+    await validateCachedToken('token1', nowSeconds + 60);
+    await validateCachedToken('token3', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(3);
+    await validateCachedToken('token2', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(4);
+  });
+
+  it('does not cache failed validations', async () => {
+    validateToken.mockRejectedValueOnce(new Error('Unauthorized'));
+    await expect(validateCachedToken('token1', nowSeconds + 60)).rejects.toThrow('Unauthorized');
+    await validateCachedToken('token1', nowSeconds + 60);
+    expect(validateToken).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+require('jest');
+const { Issuer } = require('openid-client');
+
+const { UpstreamIssuer } = require('../upstreamIssuer');
+const { upstreamMetadataAgeGauge } = require('../metrics');
+
+const UPSTREAM_ISSUER = 'https://example.okta.com/oauth2/default';
+
+function buildIssuer(metadata) {
+  return new Issuer({ issuer: UPSTREAM_ISSUER, ...metadata });
+}
+
+describe('UpstreamIssuer', () => {
+  let logger;
+  let upstreamIssuer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Issuer, 'discover');
+    logger = { error: jest.fn() };
+    upstreamIssuer = new UpstreamIssuer(UPSTREAM_ISSUER, logger, {
+      refreshIntervalSeconds: 60,
+      retryMinSeconds: 5,
+      retryMaxSeconds: 15,
+    });
+  });
+
+  afterEach(() => {
+    upstreamIssuer.stop();
+    Issuer.discover.mockRestore();
+    jest.useRealTimers();
+  });
+
+  // Lets the discovery started by an expired timer settle.
+  async function settle() {
+    for (let i = 0; i < 10; i++) {
+      await Promise.resolve();
+    }
+  }
+
+  it('discovers the issuer', async () => {
+    const issuer = buildIssuer({ token_endpoint: 'https://example.okta.com/token' });
+    Issuer.discover.mockResolvedValue(issuer);
+
+    expect(await upstreamIssuer.discover()).toBe(issuer);
+    expect(upstreamIssuer.issuer).toBe(issuer);
+    expect(Issuer.discover).toHaveBeenCalledWith(UPSTREAM_ISSUER);
+  });
+
+  it('copies refreshed metadata onto the first issuer and reloads its keys', async () => {
+    const issuer = buildIssuer({ token_endpoint: 'https://example.okta.com/token', userinfo_endpoint: 'https://example.okta.com/userinfo' });
+    issuer.keystore = jest.fn().mockResolvedValue({});
+    Issuer.discover.mockResolvedValueOnce(issuer);
+    await upstreamIssuer.discover();
+
+    Issuer.discover.mockResolvedValueOnce(buildIssuer({ token_endpoint: 'https://example.okta.com/v2/token' }));
+    expect(await upstreamIssuer.discover()).toBe(issuer);
+    expect(issuer.metadata.token_endpoint).toEqual('https://example.okta.com/v2/token');
+    expect(issuer.metadata.userinfo_endpoint).toBeUndefined();
+    expect(issuer.keystore).toHaveBeenCalledWith(true);
+  });
+
+  it('keeps the last good metadata when discovery fails', async () => {
+    const issuer = buildIssuer({ token_endpoint: 'https://example.okta.com/token' });
+    Issuer.discover.mockResolvedValueOnce(issuer);
+    await upstreamIssuer.discover();
+
+    Issuer.discover.mockRejectedValueOnce(new Error('socket hang up'));
+    await expect(upstreamIssuer.discover()).rejects.toThrow('socket hang up');
+    expect(upstreamIssuer.issuer.metadata.token_endpoint).toEqual('https://example.okta.com/token');
+  });
+
+  it('refreshes on the interval once started', async () => {
+    const issuer = buildIssuer({});
+    issuer.keystore = jest.fn().mockResolvedValue({});
+    Issuer.discover.mockResolvedValue(issuer);
+    await upstreamIssuer.discover();
+
+    upstreamIssuer.start();
+    expect(Issuer.discover).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(Issuer.discover).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(Issuer.discover).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries an undiscovered issuer with backoff', async () => {
+    Issuer.discover.mockRejectedValue(new Error('service unavailable'));
+    upstreamIssuer.start();
+
+    jest.advanceTimersByTime(0);
+    await settle();
+    expect(Issuer.discover).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching('retrying in 5 seconds'), expect.any(Error));
+
+    jest.advanceTimersByTime(5000);
+    await settle();
+    expect(Issuer.discover).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenLastCalledWith(expect.stringMatching('retrying in 10 seconds'), expect.any(Error));
+
+    jest.advanceTimersByTime(10000);
+    await settle();
+    expect(logger.error).toHaveBeenLastCalledWith(expect.stringMatching('retrying in 15 seconds'), expect.any(Error));
+
+    const issuer = buildIssuer({});
+    Issuer.discover.mockResolvedValue(issuer);
+    jest.advanceTimersByTime(15000);
+    await settle();
+    expect(upstreamIssuer.issuer).toBe(issuer);
+  });
+
+  it('stops discovering when stopped', async () => {
+    Issuer.discover.mockRejectedValue(new Error('service unavailable'));
+    upstreamIssuer.start();
+    upstreamIssuer.stop();
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(Issuer.discover).not.toHaveBeenCalled();
+  });
+
+  it('reports the age of the metadata', async () => {
+    Issuer.discover.mockResolvedValue(buildIssuer({}));
+    await upstreamIssuer.discover();
+
+    const { values } = upstreamMetadataAgeGauge.get();
+    expect(values).toContainEqual(expect.objectContaining({
+      labels: { issuer: UPSTREAM_ISSUER },
+      value: expect.any(Number),
+    }));
+  });
+});
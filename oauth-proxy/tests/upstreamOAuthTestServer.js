@@ -24,6 +24,8 @@ function buildUpstreamOAuthTestApp() {
       userinfo_endpoint: prefixPath('/userinfo'),
       token_endpoint: prefixPath('/token'),
       introspection_endpoint: prefixPath('/introspection'),
+      revocation_endpoint: prefixPath('/revoke'),
+      end_session_endpoint: prefixPath('/logout'),
       response_types_supported: [
         "code",
         "id_token",
@@ -163,6 +165,14 @@ function buildUpstreamOAuthTestApp() {
     });
   });
 
+  app.post('/revoke', (req, res) => {
+    res.status(200).send();
+  });
+
+  app.get('/logout', (req, res) => {
+    res.status(200).send();
+  });
+
   app.get('/authorize', (req, res) => {
     res.redirect(req.query.redirect_uri);
   });
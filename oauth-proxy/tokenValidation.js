@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const process = require('process');
 const { validationGauge, stopTimer } = require('./metrics');
 const axios = require('axios');
@@ -30,7 +31,53 @@ const configureTokenValidator = (endpoint, api_key) => {
   };
 };
 
+const DEFAULT_CACHE_MAX_ENTRIES = 10000;
+
+// Returns a function that calls validateToken at most once per access token
+// while the token is valid. exp is the token's expiry in seconds since the
+// epoch; results for tokens without one, or that have already expired, are
+// not kept. Failed validations are not cached.
+//
+// The cache holds at most maxEntries tokens and evicts the least recently
+// used one to make room. Expired entries are dropped when they are next
+// looked up, or evicted like any other.
+const configureCachedTokenValidator = (validateToken, options = {}) => {
+  const maxEntries = options.maxEntries || DEFAULT_CACHE_MAX_ENTRIES;
+  // Maps keep insertion order, so re-inserting an entry on every hit keeps
+  // the least recently used entry first.
+  const cache = new Map();
+  return (access_token, exp) => {
+    const now = Date.now();
+    const key = crypto.createHash('sha256').update(access_token).digest('hex');
+    const entry = cache.get(key);
+    if (entry) {
+      cache.delete(key);
+      if (entry.expiresAt > now) {
+        cache.set(key, entry);
+        return entry.validation;
+      }
+    }
+
+    const validation = validateToken(access_token);
+    const expiresAt = (exp || 0) * 1000;
+    if (expiresAt > now) {
+      if (cache.size >= maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+      const cached = { validation, expiresAt };
+      cache.set(key, cached);
+      validation.catch(() => {
+        if (cache.get(key) === cached) {
+          cache.delete(key);
+        }
+      });
+    }
+    return validation;
+  };
+};
+
 module.exports = {
   validateToken: validateToken,
   configureTokenValidator: configureTokenValidator,
+  configureCachedTokenValidator: configureCachedTokenValidator,
 };
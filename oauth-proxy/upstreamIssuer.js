@@ -0,0 +1,89 @@
+const { Issuer } = require('openid-client');
+const { upstreamMetadataAgeGauge, upstreamDiscoveryFailureCounter } = require('./metrics');
+
+// Discovers an upstream issuer and keeps its metadata and JWKS current, so
+// that endpoint changes and key rotations don't need a redeploy.
+//
+// Once discovered, the metadata is discovered again every
+// refreshIntervalSeconds. Failed discoveries are retried after
+// retryMinSeconds, doubling up to retryMaxSeconds, and the last good metadata
+// is served in the meantime. Refreshed metadata is copied onto the Issuer
+// that was discovered first, so code holding on to it sees the changes.
+class UpstreamIssuer {
+  constructor(upstream_issuer, logger, options = {}) {
+    this.upstream_issuer = upstream_issuer;
+    this.logger = logger;
+    this.refreshIntervalMs = (options.refreshIntervalSeconds || 0) * 1000;
+    this.retryMinMs = (options.retryMinSeconds || 0) * 1000;
+    this.retryMaxMs = (options.retryMaxSeconds || 0) * 1000;
+    this.issuer = undefined;
+    this.failures = 0;
+    this.running = false;
+    this.timer = undefined;
+  }
+
+  // Discovers the issuer once. Resolves with the Issuer, or rejects and
+  // leaves the last good metadata in place.
+  async discover() {
+    let discovered;
+    try {
+      discovered = await Issuer.discover(this.upstream_issuer);
+      if (this.issuer) {
+        const metadata = this.issuer.metadata;
+        Object.keys(metadata).forEach((key) => delete metadata[key]);
+        Object.assign(metadata, discovered.metadata);
+        await this.issuer.keystore(true);
+      } else {
+        this.issuer = discovered;
+      }
+    } catch (error) {
+      upstreamDiscoveryFailureCounter.inc({ issuer: this.upstream_issuer });
+      throw error;
+    }
+    upstreamMetadataAgeGauge.discovered(this.upstream_issuer);
+    return this.issuer;
+  }
+
+  // Keeps discovering the issuer in the background until stop is called.
+  // Discovery starts right away if the issuer hasn't been discovered yet.
+  start() {
+    this.running = true;
+    if (!this.issuer) {
+      this.schedule(0);
+    } else if (this.refreshIntervalMs > 0) {
+      this.schedule(this.refreshIntervalMs);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(() => {
+      this.discover()
+        .then(() => {
+          this.failures = 0;
+          if (this.running && this.refreshIntervalMs > 0) {
+            this.schedule(this.refreshIntervalMs);
+          }
+        })
+        .catch((error) => {
+          this.failures += 1;
+          const retryMs = Math.min(this.retryMinMs * Math.pow(2, this.failures - 1), this.retryMaxMs);
+          this.logger.error(`Could not discover the upstream issuer ${this.upstream_issuer}, retrying in ${retryMs / 1000} seconds`, error);
+          if (this.running) {
+            this.schedule(retryMs);
+          }
+        });
+    }, delayMs);
+    // The server keeps the process alive, not the refresh timer.
+    this.timer.unref();
+  }
+}
+
+module.exports = {
+  UpstreamIssuer,
+};
@@ -1,5 +1,5 @@
 import { createProfileMapper } from "./IDMeProfileMapper";
-import { IDP_SSO } from "./routes/constants";
+import { IDP_SSO, IDP_SLO } from "./routes/constants";
 import { DOMParser } from "xmldom";
 import { IdPOptions, DigestAlgorithmType, SignatureAlgorithmType } from "samlp"
 import { Response, Request, NextFunction } from "express"
@@ -22,6 +22,7 @@ export default class IDPConfig implements IdPOptions {
   destination: string;
   acsUrl: string;
   sloUrl: string;
+  serviceProviderCert: string;
   RelayState: string;
   allowRequestAcsUrl: boolean;
   digestAlgorithm: DigestAlgorithmType;
@@ -55,6 +56,7 @@ export default class IDPConfig implements IdPOptions {
     this.destination = argv.idpAcsUrl;
     this.acsUrl = argv.idpAcsUrl;
     this.sloUrl = argv.idpSloUrl;
+    this.serviceProviderCert = argv.idpServiceProviderCert;
     this.RelayState = argv.idpRelayState;
     this.allowRequestAcsUrl = !argv.idpDisableRequestAcsUrl;
     this.digestAlgorithm = 'sha256';
@@ -72,7 +74,10 @@ export default class IDPConfig implements IdPOptions {
     this.profileMapper = createProfileMapper;
     this.postEndpointPath = IDP_SSO;
     this.redirectEndpointPath = IDP_SSO;
-    this.logoutEndpointPaths = {};
+    this.logoutEndpointPaths = {
+      redirect: IDP_SLO,
+      post: IDP_SLO
+    };
   }
 
   public getUserFromRequest(req : Request) {
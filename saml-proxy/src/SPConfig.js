@@ -132,6 +132,7 @@ export default class SPConfig {
       deflate: this.deflate,
       identityProviderUrl: this.idpSloUrl,
       identityProviderSigningCert: this.idpCert,
+      signatureAlgorithm: this.signatureAlgorithm,
       key: this.spKey,
       cert: this.spCert
     };
@@ -17,6 +17,9 @@ import {
 import {
   BINDINGS
 } from "../samlConstants";
+import {
+  SESSION_STORES
+} from "../sessionStore";
 
 export function processArgs() {
   return yargs
@@ -56,6 +59,12 @@ export function processArgs() {
         description: 'SP Single Logout URL',
         required: false
       },
+      idpServiceProviderCert: {
+        description: 'SP Public Key Signing Certificate (PEM) used to validate Single Logout messages',
+        required: false,
+        string: true,
+        coerce: makeCertFileCoercer('certificate', 'SP Public Key Signing Certificate (PEM)')
+      },
       idpAudience: {
         description: 'SP Audience URI',
         required: true
@@ -156,6 +165,36 @@ export function processArgs() {
         required: true,
         string: true
       },
+      sessionStore: {
+        description: 'Where sessions are kept. Use dynamodb when running more than one container',
+        required: true,
+        string: true,
+        choices: SESSION_STORES,
+        default: 'memory'
+      },
+      sessionDynamoTable: {
+        description: 'DynamoDB table holding sessions (dynamodb session store)',
+        required: false,
+        string: true,
+        default: 'SamlProxySessions'
+      },
+      sessionDynamoRegion: {
+        description: 'AWS Region of the session table (dynamodb session store)',
+        required: false,
+        string: true,
+        default: 'us-west-2'
+      },
+      sessionDynamoLocal: {
+        description: 'host:port of a local DynamoDB instance to use instead of AWS (dynamodb session store)',
+        required: false,
+        string: true
+      },
+      sessionFilePath: {
+        description: 'Directory holding session files (file session store, for development only)',
+        required: false,
+        string: true,
+        default: path.resolve(cwd(), './sessions')
+      },
       spProtocol: {
         description: 'Federation Protocol',
         required: true,
@@ -1,4 +1,4 @@
-import { IDP_SSO, SP_VERIFY, SP_LOGIN_URL } from "./constants";
+import { IDP_SSO, SP_VERIFY, SP_LOGIN_URL, SLO_USER_COOKIE } from "./constants";
 import { getReqUrl, logRelayState } from '../utils';
 import { IConfiguredRequest } from './types';
 
@@ -144,6 +144,20 @@ export const serializeAssertions = (req: IConfiguredRequest, res: Response, next
     logRelayState(req, logger, 'to Okta');
   }
   authOptions.authnContextClassRef = req.user.authnContext.authnMethod;
+  authOptions.sessionIndex = req.participant.sessionIndex;
+  // Remembered so that Single Logout can identify the user to both Okta and
+  // ID.me after the login requests are gone. The session expires within
+  // minutes, so the user is also kept in a signed cookie for the rest of the
+  // browser session.
+  const sloUser = {
+    userName: req.user.userName,
+    nameIdFormat: req.user.nameIdFormat,
+    sessionIndex: req.user.authnContext.sessionIndex
+  };
+  if (req.session) {
+    req.session.user = sloUser;
+  }
+  res.cookie(SLO_USER_COOKIE, sloUser, { httpOnly: true, secure: req.secure, signed: true });
   samlp.auth(authOptions)(req, res, next);
 };
 
@@ -1,8 +1,11 @@
 export const IDP_SSO = '/samlproxy/idp/saml/sso';
+export const IDP_SLO = '/samlproxy/idp/saml/slo';
 export const IDP_METADATA = '/samlproxy/idp/metadata';
 export const IDP_REDIRECT = '/samlproxy//idp/redirect';
 export const IDP_SIGN_IN = '/samlproxy/idp/signin';
 export const SP_LOGIN_URL ='/samlproxy/sp/login';
 export const SP_METADATA_URL = '/samlproxy/sp/metadata';
 export const SP_ERROR_URL = '/samlproxy/sp/error';
+export const SP_SLO_URL = '/samlproxy/sp/saml/slo';
 export const SP_VERIFY = '/samlproxy/sp/verify';
+export const SLO_USER_COOKIE = 'idp_slo_user';
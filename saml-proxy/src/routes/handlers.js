@@ -1,5 +1,6 @@
 import { getPath, getReqUrl, logRelayState } from "../utils";
 import samlp from "samlp";
+import SessionParticipants from "samlp/lib/sessionParticipants";
 import { SAML, samlp as _samlp } from "passport-wsfed-saml2";
 import {
   buildPassportLoginHandler,
@@ -9,6 +10,13 @@ import {
   serializeAssertions,
   urlUserErrorTemplate
 } from './acsHandlers';
+import {
+  buildLogoutRequestUrl,
+  buildLogoutResponseUrl,
+  parseLogoutMessage
+} from '../samlLogout';
+import { IDP_SLO, SLO_USER_COOKIE } from "./constants";
+import { STATUS } from "../samlConstants";
 import logger from "../logger";
 
 export const getHashCode = (str) => {
@@ -102,15 +110,27 @@ export const getSessionIndex = (req) => {
   return 0;
 };
 
+// The user Single Logout has to log out. Sessions only last a few minutes, so
+// serializeAssertions also keeps the user in a signed cookie that lasts as long
+// as the browser session.
+export const getLogoutUser = (req) => {
+  return req.user ||
+    (req.session && req.session.user) ||
+    (req.signedCookies && req.signedCookies[SLO_USER_COOKIE]) ||
+    undefined;
+};
+
 export const getParticipant = (req) => {
   const participant = {
     serviceProviderId: req.idp.options.serviceProviderId,
     sessionIndex: getSessionIndex(req),
-    serviceProviderLogoutURL: req.idp.options.sloUrl
+    serviceProviderLogoutURL: req.idp.options.sloUrl,
+    cert: req.idp.options.serviceProviderCert
   };
-  if (req.user) {
-    participant.nameId = req.user.userName;
-    participant.nameIdFormat = req.user.nameIdFormat;
+  const user = getLogoutUser(req);
+  if (user) {
+    participant.nameId = user.userName;
+    participant.nameIdFormat = user.nameIdFormat;
   }
   return participant;
 };
@@ -151,6 +171,144 @@ export const idpSignIn = function(req, res) {
   samlp.auth(authOptions)(req, res);
 };
 
+/**
+ * Single Logout Handlers
+ */
+
+// Answers Okta through samlp. This covers logout requests sent by Okta, the
+// responses Okta sends back when the proxy initiated the logout, and starting
+// a proxy initiated logout when neither is present.
+const oktaLogout = function(req, res, next) {
+  samlp.logout({
+    issuer: req.idp.options.issuer,
+    cert: req.idp.options.cert,
+    key: req.idp.options.key,
+    digestAlgorithm: req.idp.options.digestAlgorithm,
+    signatureAlgorithm: req.idp.options.signatureAlgorithm,
+    sessionParticipants: new SessionParticipants([req.participant]),
+    clearIdPSession: function(callback) {
+      const idmeLogoutRequest = req.session.idmeLogoutRequest;
+      logger.info('Destroying session for Single Logout', { action: 'oktaLogout', session: req.sessionID });
+      res.clearCookie(SLO_USER_COOKIE);
+      req.session.destroy(function() {
+        if (idmeLogoutRequest) {
+          // ID.me started this logout, so it gets the final answer rather
+          // than Okta.
+          return res.redirect(buildLogoutResponseUrl(
+            req.sp.options.getLogoutParams(),
+            idmeLogoutRequest.id,
+            idmeLogoutRequest.relayState
+          ));
+        }
+        callback();
+      });
+    }
+  })(req, res, next);
+};
+
+// Validates the LogoutRequest Okta sent over the HTTP-Redirect binding. samlp
+// validates it again when it answers Okta, but that is too late to keep other
+// sites from logging users out of ID.me.
+const parseOktaLogoutRequest = (req) => {
+  if (!req.idp.options.serviceProviderCert) {
+    throw new Error('idpServiceProviderCert is required to validate logout requests from Okta');
+  }
+  const message = parseLogoutMessage(req, Object.assign({}, req.sp.options.getLogoutParams(), {
+    identityProviderSigningCert: req.idp.options.serviceProviderCert
+  }));
+  if (message.type !== 'LogoutRequest' || message.issuer !== req.idp.options.serviceProviderId) {
+    throw new Error(`Unexpected ${message.type} from ${message.issuer}`);
+  }
+  return message;
+};
+
+export const idpSingleLogout = function(req, res, next) {
+  const samlRequest = req.query.SAMLRequest || req.body.SAMLRequest;
+  const user = getLogoutUser(req);
+  if (samlRequest && req.sp.options.idpSloUrl) {
+    if (!user) {
+      logger.warn('No ID.me session is known for the user, only logging out of Okta', { action: 'idpSingleLogout', session: req.sessionID });
+    } else if (!req.query.SAMLRequest) {
+      logger.warn('Only logout requests sent over the HTTP-Redirect binding are passed on to ID.me', { action: 'idpSingleLogout', session: req.sessionID });
+    } else {
+      try {
+        parseOktaLogoutRequest(req);
+      } catch (error) {
+        logger.error('Invalid logout request from Okta', { error: error.message, action: 'idpSingleLogout', session: req.sessionID });
+        error.status = 400;
+        return next(error);
+      }
+      // The user also has a session with ID.me. Hold on to Okta's request,
+      // log out of ID.me and answer Okta once ID.me has responded.
+      const idmeLogoutRequest = buildLogoutRequestUrl(req.sp.options.getLogoutParams(), user);
+      req.session.oktaLogoutRequest = {
+        method: req.method,
+        query: req.query,
+        body: req.body
+      };
+      req.session.idmeLogoutRequestId = idmeLogoutRequest.id;
+      logger.info('Logging out of ID.me before responding to Okta', { action: 'idpSingleLogout', session: req.sessionID });
+      return res.redirect(idmeLogoutRequest.url);
+    }
+  }
+  oktaLogout(req, res, next);
+};
+
+export const spSingleLogout = function(req, res, next) {
+  const logoutParams = req.sp.options.getLogoutParams();
+  let message;
+  try {
+    message = parseLogoutMessage(req, logoutParams);
+    if (message.issuer !== req.sp.options.idpIssuer) {
+      throw new Error(`Unexpected logout message issuer ${message.issuer}`);
+    }
+  } catch (error) {
+    logger.error('Invalid logout message from ID.me', { error: error.message, action: 'spSingleLogout', session: req.sessionID });
+    error.status = 400;
+    return next(error);
+  }
+
+  if (message.type === 'LogoutResponse') {
+    const idmeLogoutRequestId = req.session.idmeLogoutRequestId;
+    if (!idmeLogoutRequestId || message.inResponseTo !== idmeLogoutRequestId) {
+      logger.error('Logout response from ID.me does not answer a pending logout request', { inResponseTo: message.inResponseTo, action: 'spSingleLogout', session: req.sessionID });
+      const error = new Error('Unexpected logout response');
+      error.status = 400;
+      return next(error);
+    }
+    delete req.session.idmeLogoutRequestId;
+    if (message.statusCode !== STATUS.SUCCESS) {
+      logger.warn('ID.me did not confirm logout', { statusCode: message.statusCode, action: 'spSingleLogout', session: req.sessionID });
+    }
+    const oktaLogoutRequest = req.session.oktaLogoutRequest;
+    if (oktaLogoutRequest) {
+      // Replay the request Okta sent so that samlp can validate and answer it.
+      delete req.session.oktaLogoutRequest;
+      req.method = oktaLogoutRequest.method;
+      req.query = oktaLogoutRequest.query;
+      req.body = oktaLogoutRequest.body;
+      return oktaLogout(req, res, next);
+    }
+    res.clearCookie(SLO_USER_COOKIE);
+    return req.session.destroy(function() {
+      res.render('logout', {});
+    });
+  }
+
+  // ID.me started the logout. Log the user out of Okta as well when it has a
+  // logout URL; the response to ID.me is sent once Okta has answered.
+  if (req.idp.options.sloUrl) {
+    req.session.idmeLogoutRequest = { id: message.id, relayState: message.relayState };
+    return req.session.save(function() {
+      res.redirect(IDP_SLO);
+    });
+  }
+  res.clearCookie(SLO_USER_COOKIE);
+  req.session.destroy(function() {
+    res.redirect(buildLogoutResponseUrl(logoutParams, message.id, message.relayState));
+  });
+};
+
 const processAcs = (acsUrl) => [
   buildPassportLoginHandler(acsUrl),
   testLevelOfAssuranceOrRedirect,
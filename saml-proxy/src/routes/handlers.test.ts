@@ -1,8 +1,255 @@
 import "jest";
-import { getHashCode } from "./handlers.js"
+import url from "url";
+import zlib from "zlib";
+import samlp from "samlp";
+import { getHashCode, idpSingleLogout, spSingleLogout } from "./handlers.js"
+import { IDP_SLO, SLO_USER_COOKIE } from "./constants";
+import { buildLogoutRequestUrl, buildLogoutResponseUrl } from "../samlLogout";
+import { idpCert, idpKey, spCert, spKey } from "../../test/testCerts";
+
+// samlp answers Okta. The mock only calls back into the proxy to clear the
+// session and then answers.
+jest.mock('samlp', () => ({
+  logout: jest.fn((options) => (req, res, next) => {
+    options.clearIdPSession(() => res.send('answered Okta'));
+  })
+}));
 
 describe("getHashCode", () => {
   it("should get hash code for a string", () => {
     expect(getHashCode("test-string")).toEqual(-1666277972);
   });
 });
+
+// Okta signs its logout messages with the IdP test key pair, and ID.me with
+// the SP test key pair.
+const OKTA_ISSUER = 'https://www.okta.com/saml2/service-provider/example';
+const IDME_ISSUER = 'api.idmelabs.com';
+
+const idmeLogoutParams = {
+  issuer: 'https://proxy.example.com/samlproxy/sp/metadata',
+  identityProviderUrl: 'https://api.idmelabs.com/saml/SingleLogoutService',
+  identityProviderSigningCert: spCert,
+  signatureAlgorithm: 'rsa-sha256',
+  key: spKey,
+};
+
+const oktaSigningParams = {
+  issuer: OKTA_ISSUER,
+  identityProviderUrl: `https://proxy.example.com${IDP_SLO}`,
+  identityProviderSigningCert: idpCert,
+  signatureAlgorithm: 'rsa-sha256',
+  key: idpKey,
+};
+
+const idmeSigningParams = {
+  ...idmeLogoutParams,
+  issuer: IDME_ISSUER,
+  identityProviderUrl: 'https://proxy.example.com/samlproxy/sp/saml/slo',
+};
+
+const user = {
+  userName: 'totally-uniq',
+  nameIdFormat: 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+  sessionIndex: '_session-index',
+};
+
+function decodeMessage(redirectUrl) {
+  const { query } = url.parse(redirectUrl, true);
+  const encoded = query.SAMLRequest || query.SAMLResponse;
+  return zlib.inflateRawSync(Buffer.from(encoded, 'base64')).toString('utf8');
+}
+
+function buildRequest(redirectUrl, session = {}) {
+  const parsed = url.parse(redirectUrl, true);
+  return {
+    method: 'GET',
+    query: parsed.query,
+    body: {},
+    originalUrl: parsed.path,
+    sessionID: 'session-id',
+    session: {
+      ...session,
+      save: jest.fn((callback) => callback()),
+      destroy: jest.fn((callback) => callback()),
+    },
+    signedCookies: {},
+    participant: {},
+    sp: {
+      options: {
+        idpIssuer: IDME_ISSUER,
+        idpSloUrl: idmeLogoutParams.identityProviderUrl,
+        getLogoutParams: () => idmeLogoutParams,
+      }
+    },
+    idp: {
+      options: {
+        issuer: 'https://proxy.example.com/samlproxy/idp/metadata',
+        serviceProviderId: OKTA_ISSUER,
+        serviceProviderCert: idpCert,
+        sloUrl: 'https://example.okta.com/sso/saml2/slo',
+      }
+    },
+  };
+}
+
+function buildResponse() {
+  return {
+    redirect: jest.fn(),
+    render: jest.fn(),
+    send: jest.fn(),
+    clearCookie: jest.fn(),
+  };
+}
+
+describe("idpSingleLogout", () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    samlp.logout.mockClear();
+    res = buildResponse();
+    next = jest.fn();
+  });
+
+  it("should validate Okta's request and log the user out of ID.me first", () => {
+    const req = buildRequest(buildLogoutRequestUrl(oktaSigningParams, user).url, { user });
+    idpSingleLogout(req, res, next);
+
+    const redirectUrl = res.redirect.mock.calls[0][0];
+    expect(redirectUrl.startsWith(`${idmeLogoutParams.identityProviderUrl}?SAMLRequest=`)).toBe(true);
+    expect(decodeMessage(redirectUrl)).toContain(`ID="${req.session.idmeLogoutRequestId}"`);
+    expect(req.session.oktaLogoutRequest).toEqual({ method: 'GET', query: req.query, body: {} });
+    expect(samlp.logout).not.toHaveBeenCalled();
+  });
+
+  it("should use the user from the SLO cookie once the session is gone", () => {
+    const req = buildRequest(buildLogoutRequestUrl(oktaSigningParams, user).url);
+    req.signedCookies[SLO_USER_COOKIE] = user;
+    idpSingleLogout(req, res, next);
+
+    expect(decodeMessage(res.redirect.mock.calls[0][0])).toContain(`>${user.userName}</saml:NameID>`);
+  });
+
+  it("should reject logout requests not signed by Okta", () => {
+    const req = buildRequest(buildLogoutRequestUrl({ ...oktaSigningParams, key: spKey }, user).url, { user });
+    idpSingleLogout(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(res.redirect).not.toHaveBeenCalled();
+    expect(samlp.logout).not.toHaveBeenCalled();
+  });
+
+  it("should reject logout requests from another issuer", () => {
+    const req = buildRequest(buildLogoutRequestUrl({ ...oktaSigningParams, issuer: 'https://evil.example.com' }, user).url, { user });
+    idpSingleLogout(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(res.redirect).not.toHaveBeenCalled();
+  });
+
+  it("should only answer Okta when the ID.me user is not known", () => {
+    const req = buildRequest(buildLogoutRequestUrl(oktaSigningParams, user).url);
+    idpSingleLogout(req, res, next);
+
+    expect(samlp.logout).toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith('answered Okta');
+    expect(res.redirect).not.toHaveBeenCalled();
+  });
+});
+
+describe("oktaLogout", () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    samlp.logout.mockClear();
+    res = buildResponse();
+    next = jest.fn();
+  });
+
+  it("should clear the session and SLO cookie before answering Okta", () => {
+    const req = buildRequest('/samlproxy/idp/saml/slo', { user });
+    idpSingleLogout(req, res, next);
+
+    expect(samlp.logout).toHaveBeenCalledWith(expect.objectContaining({ issuer: req.idp.options.issuer }));
+    expect(req.session.destroy).toHaveBeenCalled();
+    expect(res.clearCookie).toHaveBeenCalledWith(SLO_USER_COOKIE);
+    expect(res.send).toHaveBeenCalledWith('answered Okta');
+  });
+
+  it("should answer ID.me instead of Okta when ID.me started the logout", () => {
+    const req = buildRequest('/samlproxy/idp/saml/slo', { idmeLogoutRequest: { id: '_idme-request', relayState: 'relay' } });
+    idpSingleLogout(req, res, next);
+
+    const redirectUrl = res.redirect.mock.calls[0][0];
+    expect(redirectUrl.startsWith(`${idmeLogoutParams.identityProviderUrl}?SAMLResponse=`)).toBe(true);
+    expect(decodeMessage(redirectUrl)).toContain('InResponseTo="_idme-request"');
+    expect(res.send).not.toHaveBeenCalled();
+  });
+});
+
+describe("spSingleLogout", () => {
+  const oktaLogoutRequest = { method: 'GET', query: { SAMLRequest: 'okta-request' }, body: {} };
+  let res;
+  let next;
+
+  beforeEach(() => {
+    samlp.logout.mockClear();
+    res = buildResponse();
+    next = jest.fn();
+  });
+
+  it("should answer Okta once ID.me has answered the pending logout request", () => {
+    const req = buildRequest(buildLogoutResponseUrl(idmeSigningParams, '_pending-request'), {
+      idmeLogoutRequestId: '_pending-request',
+      oktaLogoutRequest,
+    });
+    spSingleLogout(req, res, next);
+
+    expect(req.query).toEqual(oktaLogoutRequest.query);
+    expect(req.session.idmeLogoutRequestId).toBeUndefined();
+    expect(samlp.logout).toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith('answered Okta');
+  });
+
+  it("should reject responses to another logout request", () => {
+    const req = buildRequest(buildLogoutResponseUrl(idmeSigningParams, '_other-request'), {
+      idmeLogoutRequestId: '_pending-request',
+      oktaLogoutRequest,
+    });
+    spSingleLogout(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(samlp.logout).not.toHaveBeenCalled();
+    expect(req.session.destroy).not.toHaveBeenCalled();
+  });
+
+  it("should reject responses when no logout request is pending", () => {
+    const req = buildRequest(buildLogoutResponseUrl(idmeSigningParams, '_pending-request'));
+    spSingleLogout(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(req.session.destroy).not.toHaveBeenCalled();
+  });
+
+  it("should reject messages not signed by ID.me", () => {
+    const req = buildRequest(buildLogoutResponseUrl({ ...idmeSigningParams, key: idpKey }, '_pending-request'), {
+      idmeLogoutRequestId: '_pending-request',
+      oktaLogoutRequest,
+    });
+    spSingleLogout(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+    expect(samlp.logout).not.toHaveBeenCalled();
+  });
+
+  it("should pass logout requests from ID.me on to Okta", () => {
+    const { id, url: redirectUrl } = buildLogoutRequestUrl(idmeSigningParams, user, 'relay');
+    const req = buildRequest(redirectUrl);
+    spSingleLogout(req, res, next);
+
+    expect(req.session.idmeLogoutRequest).toEqual({ id, relayState: 'relay' });
+    expect(res.redirect).toHaveBeenCalledWith(IDP_SLO);
+  });
+});
@@ -14,6 +14,8 @@ import createPassport from "./passport";
 import addRoutes from "./routes";
 import configureHandlebars from "./handlebars";
 import { getParticipant } from "./handlers";
+import { IDP_SLO, SP_SLO_URL } from "./constants";
+import { createSessionStore, SESSION_MAX_AGE_MS } from "../sessionStore";
 
 import promBundle from 'express-prom-bundle';
 import * as Sentry from '@sentry/node';
@@ -94,14 +96,16 @@ export default function configureExpress(app, argv, idpOptions, spOptions, vetsA
     }
   }));
   app.use(bodyParser.urlencoded({extended: true}));
-  app.use(cookieParser());
+  // The secret lets Single Logout trust the user kept in the signed SLO cookie.
+  app.use(cookieParser(argv.sessionSecret));
   app.use(session({
+    store: createSessionStore(argv),
     secret: argv.sessionSecret,
     resave: false,
     saveUninitialized: true,
     name: 'idp_sid',
     genid: uuidv4,
-    cookie: { maxAge: 1000 * 60 * 5 }
+    cookie: { maxAge: SESSION_MAX_AGE_MS }
   }));
   app.use(flash());
 
@@ -132,7 +136,9 @@ export default function configureExpress(app, argv, idpOptions, spOptions, vetsA
   });
 
   app.use(function(req, res, next){
-    if (req.idp.options.rollSession) {
+    // Single Logout keeps the pending logout requests in the session between
+    // its requests, so the SLO endpoints never get a new session.
+    if (req.idp.options.rollSession && req.path !== IDP_SLO && req.path !== SP_SLO_URL) {
       req.session.regenerate(function(err) {
         return next();
       });
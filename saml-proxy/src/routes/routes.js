@@ -1,9 +1,11 @@
 import { IDP_SSO,
+         IDP_SLO,
          IDP_METADATA,
          IDP_REDIRECT,
          SP_METADATA_URL,
          SP_VERIFY,
          SP_ERROR_URL,
+         SP_SLO_URL,
          IDP_SIGN_IN } from "./constants";
 
 import { acsFactory,
@@ -11,7 +13,9 @@ import { acsFactory,
          showLoginOptions,
          handleError,
          samlLogin,
-         idpSignIn } from "./handlers";
+         idpSignIn,
+         idpSingleLogout,
+         spSingleLogout } from "./handlers";
 
 import fs from "fs";
 import process from "process";
@@ -29,6 +33,9 @@ export default function addRoutes(app, idpConfig, spConfig) {
 
   app.post(IDP_SIGN_IN, idpSignIn);
 
+  app.get(IDP_SLO, idpSingleLogout);
+  app.post(IDP_SLO, idpSingleLogout);
+
   app.get(IDP_METADATA, function(req, res, next) {
     samlp.metadata(req.idp.options)(req, res);
   });
@@ -43,6 +50,8 @@ export default function addRoutes(app, idpConfig, spConfig) {
 
   spConfig.acsUrls.forEach((url) => acsFactory(app, url));
 
+  app.get(SP_SLO_URL, spSingleLogout);
+
   app.get(SP_ERROR_URL, handleError);
 
   return app;
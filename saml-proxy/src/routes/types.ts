@@ -14,4 +14,5 @@ export interface IConfiguredRequest extends Request {
   strategy: IExtendedStrategy;
   sp: any;
   idp: any;
+  participant: any;
 }
@@ -2,3 +2,20 @@ export const BINDINGS = {
   REDIRECT: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
   POST: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST'
 }
+
+export const STATUS = {
+  SUCCESS: 'urn:oasis:names:tc:SAML:2.0:status:Success',
+  REQUESTER: 'urn:oasis:names:tc:SAML:2.0:status:Requester',
+  RESPONDER: 'urn:oasis:names:tc:SAML:2.0:status:Responder'
+}
+
+export const SIGNATURE_ALGORITHMS : { [name: string]: { uri: string, digest: string } } = {
+  'rsa-sha1': {
+    uri: 'http://www.w3.org/2000/09/xmldsig#rsa-sha1',
+    digest: 'RSA-SHA1'
+  },
+  'rsa-sha256': {
+    uri: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    digest: 'RSA-SHA256'
+  }
+}
@@ -0,0 +1,105 @@
+import 'jest';
+import url from 'url';
+import zlib from 'zlib';
+
+import { buildLogoutRequestUrl, buildLogoutResponseUrl, parseLogoutMessage } from './samlLogout';
+import { STATUS } from './samlConstants';
+import { spCert, spKey } from '../test/testCerts';
+
+// Both sides of the exchange use the SP key pair so that the messages built
+// here can be validated by the parser.
+const logoutParams = {
+  issuer: 'test',
+  identityProviderUrl: 'https://api.idmelabs.com/saml/SingleLogoutService',
+  identityProviderSigningCert: spCert,
+  signatureAlgorithm: 'rsa-sha256',
+  key: spKey,
+};
+
+const user = {
+  userName: 'totally-uniq',
+  nameIdFormat: 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+  sessionIndex: '_session-index',
+};
+
+// Turns a redirect URL back into the parts of an express request the parser
+// looks at.
+function requestFromUrl(redirectUrl) {
+  const parsed = url.parse(redirectUrl, true);
+  return { query: parsed.query, originalUrl: parsed.path };
+}
+
+function decodeMessage(redirectUrl) {
+  const { query } = url.parse(redirectUrl, true);
+  const encoded = query.SAMLRequest || query.SAMLResponse;
+  return zlib.inflateRawSync(Buffer.from(encoded, 'base64')).toString('utf8');
+}
+
+describe('buildLogoutRequestUrl', () => {
+  it('should send a signed LogoutRequest to the IdP', () => {
+    const redirectUrl = buildLogoutRequestUrl(logoutParams, user, 'relay').url;
+    const { query } = url.parse(redirectUrl, true);
+    expect(redirectUrl.startsWith(`${logoutParams.identityProviderUrl}?SAMLRequest=`)).toBe(true);
+    expect(query.RelayState).toEqual('relay');
+    expect(query.SigAlg).toEqual('http://www.w3.org/2001/04/xmldsig-more#rsa-sha256');
+    expect(query.Signature).toEqual(expect.any(String));
+  });
+
+  it('should identify the user and session', () => {
+    const xml = decodeMessage(buildLogoutRequestUrl(logoutParams, user).url);
+    expect(xml).toContain('<samlp:LogoutRequest');
+    expect(xml).toContain(`Format="${user.nameIdFormat}">${user.userName}</saml:NameID>`);
+    expect(xml).toContain(`<samlp:SessionIndex>${user.sessionIndex}</samlp:SessionIndex>`);
+  });
+
+  it('should return the ID of the LogoutRequest', () => {
+    const { id, url: redirectUrl } = buildLogoutRequestUrl(logoutParams, user);
+    expect(decodeMessage(redirectUrl)).toContain(`ID="${id}"`);
+  });
+
+  it('should escape user supplied values', () => {
+    const xml = decodeMessage(buildLogoutRequestUrl(logoutParams, { userName: '<evil>&' }).url);
+    expect(xml).toContain('&lt;evil&gt;&amp;</saml:NameID>');
+  });
+});
+
+describe('parseLogoutMessage', () => {
+  it('should parse a signed LogoutRequest', () => {
+    const req = requestFromUrl(buildLogoutRequestUrl(logoutParams, user, 'relay').url);
+    const message = parseLogoutMessage(req, logoutParams);
+    expect(message).toEqual(expect.objectContaining({
+      type: 'LogoutRequest',
+      issuer: 'test',
+      nameId: user.userName,
+      sessionIndex: user.sessionIndex,
+      relayState: 'relay',
+    }));
+  });
+
+  it('should parse a signed LogoutResponse', () => {
+    const req = requestFromUrl(buildLogoutResponseUrl(logoutParams, '_request-id'));
+    const message = parseLogoutMessage(req, logoutParams);
+    expect(message).toEqual(expect.objectContaining({
+      type: 'LogoutResponse',
+      inResponseTo: '_request-id',
+      statusCode: STATUS.SUCCESS,
+    }));
+  });
+
+  it('should reject unsigned messages', () => {
+    const redirectUrl = buildLogoutRequestUrl(logoutParams, user).url;
+    const req = requestFromUrl(redirectUrl.replace(/&SigAlg=.*$/, ''));
+    expect(() => parseLogoutMessage(req, logoutParams)).toThrow('SAMLRequest is not signed');
+  });
+
+  it('should reject tampered messages', () => {
+    const redirectUrl = buildLogoutRequestUrl(logoutParams, user, 'relay').url;
+    const req = requestFromUrl(redirectUrl.replace('RelayState=relay', 'RelayState=other'));
+    expect(() => parseLogoutMessage(req, logoutParams)).toThrow('SAMLRequest signature is invalid');
+  });
+
+  it('should reject requests without a logout message', () => {
+    const req = { query: {}, originalUrl: '/samlproxy/sp/saml/slo' };
+    expect(() => parseLogoutMessage(req, logoutParams)).toThrow();
+  });
+});
@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import process from "process";
+import zlib from "zlib";
+import template from "lodash.template";
+import uuidv4 from "uuid/v4";
+import { DOMParser } from "xmldom";
+import { Request } from "express";
+
+import { certToPEM } from "./cli/coercing";
+import { removeHeaders } from "./utils";
+import { SIGNATURE_ALGORITHMS, STATUS } from "./samlConstants";
+
+// Single Logout with ID.me is done entirely over the HTTP-Redirect binding.
+// The samlp library only knows how to play the IdP side of SLO, so the SP
+// side messages are built, signed and validated here.
+
+const LOGOUT_REQUEST_TEMPLATE = template(
+  fs.readFileSync(path.join(process.cwd(), './templates/logoutrequest.tpl'), 'utf8')
+);
+
+const LOGOUT_RESPONSE_TEMPLATE = template(
+  fs.readFileSync(path.join(process.cwd(), './templates/logoutresponse.tpl'), 'utf8')
+);
+
+const SAML_PROTOCOL_NS = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const SAML_ASSERTION_NS = 'urn:oasis:names:tc:SAML:2.0:assertion';
+
+export interface ILogoutParams {
+  issuer: string;
+  identityProviderUrl: string;
+  identityProviderSigningCert: string;
+  signatureAlgorithm: string;
+  key: string;
+}
+
+export interface ILogoutUser {
+  userName: string;
+  nameIdFormat?: string;
+  sessionIndex?: string;
+}
+
+export interface ILogoutRequest {
+  id: string;
+  url: string;
+}
+
+export interface ILogoutMessage {
+  type: 'LogoutRequest' | 'LogoutResponse';
+  id: string;
+  issuer: string;
+  inResponseTo?: string;
+  statusCode?: string;
+  nameId?: string;
+  sessionIndex?: string;
+  relayState?: string;
+}
+
+const signatureAlgorithm = (name : string) => {
+  const algorithm = SIGNATURE_ALGORITHMS[name];
+  if (!algorithm) {
+    throw new Error(`Unsupported signature algorithm: ${name}`);
+  }
+  return algorithm;
+};
+
+const encodeMessage = (xml : string) => {
+  return zlib.deflateRawSync(Buffer.from(xml, 'utf8')).toString('base64');
+};
+
+// Builds the query string for an HTTP-Redirect binding message. The signature
+// covers the URL-encoded parameters in the exact order mandated by section
+// 3.4.4.1 of the SAML bindings spec.
+const buildRedirectUrl = (params : ILogoutParams, messageType : string, xml : string, relayState? : string) => {
+  const algorithm = signatureAlgorithm(params.signatureAlgorithm);
+  const parts = [`${messageType}=${encodeURIComponent(encodeMessage(xml))}`];
+  if (relayState) {
+    parts.push(`RelayState=${encodeURIComponent(relayState)}`);
+  }
+  parts.push(`SigAlg=${encodeURIComponent(algorithm.uri)}`);
+
+  const signer = crypto.createSign(algorithm.digest);
+  signer.update(parts.join('&'));
+  const signature = signer.sign(params.key.toString(), 'base64');
+  parts.push(`Signature=${encodeURIComponent(signature)}`);
+
+  const separator = params.identityProviderUrl.indexOf('?') === -1 ? '?' : '&';
+  return `${params.identityProviderUrl}${separator}${parts.join('&')}`;
+};
+
+// Returns the ID of the LogoutRequest along with the URL, so that the
+// LogoutResponse answering it can be recognized.
+export const buildLogoutRequestUrl = (params : ILogoutParams, user : ILogoutUser, relayState? : string) : ILogoutRequest => {
+  const id = `_${uuidv4()}`;
+  const xml = LOGOUT_REQUEST_TEMPLATE({
+    ID: id,
+    IssueInstant: new Date().toISOString(),
+    Destination: params.identityProviderUrl,
+    Issuer: params.issuer,
+    NameID: user.userName,
+    NameIDFormat: user.nameIdFormat,
+    SessionIndex: user.sessionIndex
+  });
+  return { id, url: buildRedirectUrl(params, 'SAMLRequest', xml, relayState) };
+};
+
+export const buildLogoutResponseUrl = (params : ILogoutParams, inResponseTo : string, relayState? : string, statusCode = STATUS.SUCCESS) => {
+  const xml = LOGOUT_RESPONSE_TEMPLATE({
+    ID: `_${uuidv4()}`,
+    IssueInstant: new Date().toISOString(),
+    Destination: params.identityProviderUrl,
+    InResponseTo: inResponseTo,
+    Issuer: params.issuer,
+    StatusCode: statusCode
+  });
+  return buildRedirectUrl(params, 'SAMLResponse', xml, relayState);
+};
+
+// Returns the still URL-encoded query parameters of the request. Signature
+// validation must be done against the values exactly as they were sent, not
+// against a re-encoding of the values parsed by express.
+const rawQueryParams = (req : Request) => {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1);
+  return query.split('&').reduce((params : { [key: string]: string }, pair) => {
+    const equalsIndex = pair.indexOf('=');
+    if (equalsIndex > 0) {
+      params[pair.slice(0, equalsIndex)] = pair.slice(equalsIndex + 1);
+    }
+    return params;
+  }, {});
+};
+
+const verifyRedirectSignature = (params : ILogoutParams, raw : { [key: string]: string }, messageType : string) => {
+  if (!raw.Signature || !raw.SigAlg) {
+    throw new Error(`${messageType} is not signed`);
+  }
+  const sigAlg = decodeURIComponent(raw.SigAlg);
+  const algorithm = Object.keys(SIGNATURE_ALGORITHMS)
+    .map((name) => SIGNATURE_ALGORITHMS[name])
+    .find((candidate) => candidate.uri === sigAlg);
+  if (!algorithm) {
+    throw new Error(`Unsupported signature algorithm: ${sigAlg}`);
+  }
+
+  const signedContent = [`${messageType}=${raw[messageType]}`];
+  if (raw.RelayState) {
+    signedContent.push(`RelayState=${raw.RelayState}`);
+  }
+  signedContent.push(`SigAlg=${raw.SigAlg}`);
+
+  const verifier = crypto.createVerify(algorithm.digest);
+  verifier.update(signedContent.join('&'));
+  const cert = certToPEM(removeHeaders(params.identityProviderSigningCert.toString()));
+  if (!verifier.verify(cert, decodeURIComponent(raw.Signature), 'base64')) {
+    throw new Error(`${messageType} signature is invalid`);
+  }
+};
+
+const childText = (parent : Element, namespace : string, localName : string) => {
+  const element = parent.getElementsByTagNameNS(namespace, localName)[0];
+  return element && element.textContent ? element.textContent.trim() : undefined;
+};
+
+// Parses and validates a LogoutRequest or LogoutResponse sent over the
+// HTTP-Redirect binding. Throws if the message is missing, malformed or not
+// signed with params.identityProviderSigningCert.
+export const parseLogoutMessage = (req : Request, params : ILogoutParams) : ILogoutMessage => {
+  const messageType = req.query.SAMLRequest ? 'SAMLRequest' : 'SAMLResponse';
+  const message = req.query[messageType];
+  if (!message || typeof message !== 'string') {
+    throw new Error('No SAMLRequest or SAMLResponse was found in the request');
+  }
+
+  verifyRedirectSignature(params, rawQueryParams(req), messageType);
+
+  const xml = zlib.inflateRawSync(Buffer.from(message, 'base64')).toString('utf8');
+  const root = new DOMParser().parseFromString(xml).documentElement;
+  if (!root || root.namespaceURI !== SAML_PROTOCOL_NS ||
+      (root.localName !== 'LogoutRequest' && root.localName !== 'LogoutResponse')) {
+    throw new Error(`Expected a logout message but received ${root ? root.localName : 'nothing'}`);
+  }
+
+  const statusCode = root.getElementsByTagNameNS(SAML_PROTOCOL_NS, 'StatusCode')[0];
+  return {
+    type: root.localName as ILogoutMessage['type'],
+    id: root.getAttribute('ID') || '',
+    issuer: childText(root, SAML_ASSERTION_NS, 'Issuer') || '',
+    inResponseTo: root.getAttribute('InResponseTo') || undefined,
+    statusCode: statusCode ? statusCode.getAttribute('Value') || undefined : undefined,
+    nameId: childText(root, SAML_ASSERTION_NS, 'NameID'),
+    sessionIndex: childText(root, SAML_PROTOCOL_NS, 'SessionIndex'),
+    relayState: typeof req.query.RelayState === 'string' ? req.query.RelayState : undefined
+  };
+};
@@ -0,0 +1,60 @@
+import 'jest';
+import { DynamoDB } from 'aws-sdk';
+import { createSessionStore, SESSION_MAX_AGE_MS } from './sessionStore';
+
+const mockDynamoDBStore = jest.fn();
+const mockFileStore = jest.fn();
+jest.mock('connect-dynamodb', () => () => mockDynamoDBStore);
+jest.mock('session-file-store', () => () => mockFileStore);
+jest.mock('aws-sdk');
+
+const defaultOptions = {
+  sessionStore: 'memory',
+  sessionDynamoTable: 'SamlProxySessions',
+  sessionDynamoRegion: 'us-west-2',
+  sessionFilePath: '/tmp/sessions',
+};
+
+beforeEach(() => {
+  mockDynamoDBStore.mockClear();
+  mockFileStore.mockClear();
+  DynamoDB.mockClear();
+});
+
+describe('createSessionStore', () => {
+  it('should leave the default memory store in place', () => {
+    expect(createSessionStore(defaultOptions)).toBeUndefined();
+  });
+
+  it('should use the memory store when none is configured', () => {
+    const { sessionStore, ...options } = defaultOptions;
+    expect(createSessionStore(options)).toBeUndefined();
+  });
+
+  it('should create a DynamoDB store for the configured table', () => {
+    const store = createSessionStore({ ...defaultOptions, sessionStore: 'dynamodb' });
+    expect(store).toBeInstanceOf(mockDynamoDBStore);
+    expect(DynamoDB).toHaveBeenCalledWith({ region: 'us-west-2' });
+    expect(mockDynamoDBStore).toHaveBeenCalledWith(expect.objectContaining({
+      table: 'SamlProxySessions',
+    }));
+  });
+
+  it('should point the DynamoDB store at a local instance', () => {
+    createSessionStore({ ...defaultOptions, sessionStore: 'dynamodb', sessionDynamoLocal: 'localhost:8000' });
+    expect(DynamoDB).toHaveBeenCalledWith({ region: 'us-west-2', endpoint: 'http://localhost:8000' });
+  });
+
+  it('should expire file sessions with the session cookie', () => {
+    const store = createSessionStore({ ...defaultOptions, sessionStore: 'file' });
+    expect(store).toBeInstanceOf(mockFileStore);
+    expect(mockFileStore).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/tmp/sessions',
+      ttl: SESSION_MAX_AGE_MS / 1000,
+    }));
+  });
+
+  it('should reject unknown stores', () => {
+    expect(() => createSessionStore({ ...defaultOptions, sessionStore: 'redis' })).toThrow('Unknown session store: redis');
+  });
+});
@@ -0,0 +1,53 @@
+import session from "express-session";
+import connectDynamoDB from "connect-dynamodb";
+import sessionFileStore from "session-file-store";
+import { DynamoDB } from "aws-sdk";
+
+// Sessions only need to outlive a single login, which hops between Okta,
+// the proxy and ID.me. Both the cookie and the stored session expire after
+// this long.
+export const SESSION_MAX_AGE_MS = 1000 * 60 * 5;
+
+export const SESSION_STORES = ['memory', 'dynamodb', 'file'];
+
+interface ISessionStoreOptions {
+  sessionStore?: string;
+  sessionDynamoTable: string;
+  sessionDynamoRegion: string;
+  sessionDynamoLocal?: string;
+  sessionFilePath: string;
+}
+
+// Returns the express-session store selected by the CLI options. The memory
+// store is returned as undefined so that express-session falls back to its
+// own default, which is only suitable for a single container. Configs that
+// predate the option don't set it and keep the memory store.
+export function createSessionStore(argv : ISessionStoreOptions) : session.Store | undefined {
+  switch (argv.sessionStore) {
+  case 'dynamodb': {
+    const DynamoDBStore = connectDynamoDB({ session });
+    const client = argv.sessionDynamoLocal ?
+      new DynamoDB({ region: argv.sessionDynamoRegion, endpoint: `http://${argv.sessionDynamoLocal}` }) :
+      new DynamoDB({ region: argv.sessionDynamoRegion });
+    // The store ignores sessions past their "expires" attribute. Enable TTL
+    // on that attribute so DynamoDB removes them as well.
+    return new DynamoDBStore({
+      client,
+      table: argv.sessionDynamoTable
+    });
+  }
+  case 'file': {
+    const FileStore = sessionFileStore(session);
+    return new FileStore({
+      path: argv.sessionFilePath,
+      ttl: SESSION_MAX_AGE_MS / 1000,
+      logFn: () => {}
+    });
+  }
+  case 'memory':
+  case undefined:
+    return undefined;
+  default:
+    throw new Error(`Unknown session store: ${argv.sessionStore}`);
+  }
+}
@@ -0,0 +1,2 @@
+// connect-dynamodb does not ship type definitions.
+declare module "connect-dynamodb";
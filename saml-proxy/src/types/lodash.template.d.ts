@@ -0,0 +1,2 @@
+// lodash.template does not ship type definitions.
+declare module "lodash.template";
@@ -0,0 +1,2 @@
+// uuid does not ship type definitions.
+declare module "uuid/v4";
@@ -0,0 +1,5 @@
+<samlp:LogoutRequest xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="<%- ID %>" IssueInstant="<%- IssueInstant %>" Destination="<%- Destination %>" Version="2.0">
+  <saml:Issuer><%- Issuer %></saml:Issuer>
+  <saml:NameID<% if (NameIDFormat) { %> Format="<%- NameIDFormat %>"<% } %>><%- NameID %></saml:NameID>
+  <% if (SessionIndex) { %><samlp:SessionIndex><%- SessionIndex %></samlp:SessionIndex><% } %>
+</samlp:LogoutRequest>
@@ -0,0 +1,6 @@
+<samlp:LogoutResponse xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="<%- ID %>" IssueInstant="<%- IssueInstant %>" Destination="<%- Destination %>" InResponseTo="<%- InResponseTo %>" Version="2.0">
+  <saml:Issuer><%- Issuer %></saml:Issuer>
+  <samlp:Status>
+    <samlp:StatusCode Value="<%- StatusCode %>"/>
+  </samlp:Status>
+</samlp:LogoutResponse>
@@ -15,7 +15,7 @@
         </ds:X509Data>
       </ds:KeyInfo>
     </md:KeyDescriptor>
-    <md:SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="<%= sloUrl %>"/>
+    <md:SingleLogoutService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="<%= sloUrl %>"/>
     <md:NameIDFormat><%= nameIDFormat %></md:NameIDFormat>
     <% for (var i=0; i<acsUrls.length; i++) {%><md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="<%= acsUrls[i] %>" index="<%= i + 1%>"/><% } %>
   </md:SPSSODescriptor>